@@ -14,12 +14,12 @@
         lockdown();
         const compartment = new Compartment(endowments);
         return {
-            makeFunction(params, body) {
+            makeFunction(params, body, { block = false, async = false } = {}) {
                 const argsList = params.join(', ');
                 const source = `
-                    (function(${argsList}) {
+                    (${async ? 'async ' : ''}function(${argsList}) {
                         "use strict";
-                        return (${body});
+                        ${block ? body : `return (${body});`}
                     })
                 `;
                 return compartment.evaluate(source);
@@ -28,12 +28,12 @@
     }
 
     function installSesStrategy(options = {}) {
-        const { endowments = {}, tagmark = global.TagMarkDebug } = options;
-        if (!tagmark || typeof tagmark.setExpressionStrategy !== 'function') {
-            throw new Error('TagMarkDebug.setExpressionStrategy is required to install the SES strategy');
+        const { endowments = {}, tagmark = global.TagMark } = options;
+        if (!tagmark || typeof tagmark.configure !== 'function') {
+            throw new Error('TagMark.configure is required to install the SES strategy');
         }
         const strategy = makeSesStrategy(endowments);
-        tagmark.setExpressionStrategy(strategy);
+        tagmark.configure({ expressionStrategy: strategy });
         return strategy;
     }
 
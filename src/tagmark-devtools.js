@@ -0,0 +1,217 @@
+// TagMark devtools: an in-page inspector. Load after tagmark.js:
+//   <script src="src/tagmark-devtools.js"></script>
+// Shows each root and what it read, the rendered SID tree with each element's scope and local
+// namespace, the shared namespaces, and per-expression evaluation counts and times. State
+// values can be edited in place (values are parsed as JSON, else kept as strings).
+(function (global) {
+    const STYLE = `
+        #tagmark-devtools { position: fixed; right: 8px; bottom: 8px; z-index: 2147483647; width: 440px;
+            max-height: 70vh; overflow: auto; background: #fff; color: #222; border: 1px solid #999;
+            font: 12px/1.4 monospace; box-shadow: 0 2px 8px rgba(0,0,0,.25); }
+        #tagmark-devtools header { position: sticky; top: 0; display: flex; justify-content: space-between;
+            padding: 4px 6px; background: #333; color: #fff; }
+        #tagmark-devtools section { padding: 4px 6px; border-top: 1px solid #ddd; }
+        #tagmark-devtools h4 { margin: 2px 0; font-size: 12px; }
+        #tagmark-devtools ul { margin: 0; padding-left: 14px; list-style: none; }
+        #tagmark-devtools .sid { cursor: pointer; }
+        #tagmark-devtools .sid.selected { background: #def; }
+        #tagmark-devtools input { font: inherit; width: 60%; }
+        #tagmark-devtools table { border-collapse: collapse; width: 100%; }
+        #tagmark-devtools td { padding: 0 4px; vertical-align: top; }
+        #tagmark-devtools .dirty { color: #b00; }
+    `;
+
+    let panel = null;
+    let selected = null; // SID shown in the node section
+    let collapsed = false;
+    let timer = null;
+    let unsubscribe = null;
+    const nodes = new Map(); // SID -> {tag, scope} of rendered elements
+    const profile = new Map(); // Expression -> {count, time (ms)}
+
+    const rootOf = (sid) => sid.split('/')[0];
+
+    // Time an evaluation method
+    const timed = (evaluate) => (expr, scope) => {
+        const start = performance.now();
+        try {
+            return evaluate(expr, scope);
+        } finally {
+            const stat = profile.get(expr) || { count: 0, time: 0 };
+            stat.count++;
+            stat.time += performance.now() - start;
+            profile.set(expr, stat);
+        }
+    };
+
+    // While the panel is open, TagMark's render hooks and evaluators are wrapped on the instance
+    // (the prototype keeps the originals) to collect element scopes and expression timings
+    const WRAPPERS = {
+        inspectNode: (inspect) => (sid, tag, scope) => {
+            nodes.set(sid, { tag, scope });
+            return inspect(sid, tag, scope);
+        },
+        beginPass: (begin) => (rootSid) => {
+            for (const sid of nodes.keys()) if (rootOf(sid) === rootSid) nodes.delete(sid);
+            return begin(rootSid);
+        },
+        evalPure: timed,
+        evalComputed: timed,
+        evalEffect: timed,
+    };
+
+    function instrument() {
+        for (const [name, wrap] of Object.entries(WRAPPERS)) TagMark[name] = wrap(TagMark[name].bind(TagMark));
+    }
+
+    function uninstrument() {
+        for (const name of Object.keys(WRAPPERS)) delete TagMark[name];
+        nodes.clear();
+        profile.clear();
+    }
+
+    function el(tag, props = {}, ...children) {
+        const node = document.createElement(tag);
+        for (const [k, v] of Object.entries(props)) {
+            if (k.startsWith('on')) node.addEventListener(k.slice(2), v);
+            else node.setAttribute(k, v);
+        }
+        for (const child of children.flat()) {
+            if (child != null) node.append(child);
+        }
+        return node;
+    }
+
+    function brief(value) {
+        try {
+            const text = typeof value === 'function' ? 'ƒ' : JSON.stringify(value);
+            return text === undefined ? String(value) : text.length > 80 ? text.slice(0, 77) + '...' : text;
+        } catch {
+            return String(value);
+        }
+    }
+
+    function parseInput(text) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    // Editable view of a namespace proxy: objects nest, other values are inputs
+    function stateTree(target, path = []) {
+        const value = path.reduce((cur, seg) => cur == null ? undefined : cur[seg], target);
+        if (value === null || typeof value !== 'object') {
+            const input = el('input', { value: brief(value) });
+            input.addEventListener('change', () => {
+                const parent = path.slice(0, -1).reduce((cur, seg) => cur[seg], target);
+                parent[path[path.length - 1]] = parseInput(input.value);
+            });
+            return input;
+        }
+        return el('ul', {}, Object.keys(value).map(k => el('li', {}, `${k}: `, stateTree(target, [...path, k]))));
+    }
+
+    // SIDs nest by path; an element's parent is the closest recorded SID that prefixes it
+    function sidTree(nodes) {
+        const children = new Map([[null, []]]);
+        const sids = [...nodes.keys()].sort();
+        for (const sid of sids) {
+            let parent = null;
+            for (let i = sid.lastIndexOf('/'); i > 0; i = sid.lastIndexOf('/', i - 1)) {
+                if (nodes.has(sid.slice(0, i))) {
+                    parent = sid.slice(0, i);
+                    break;
+                }
+            }
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(sid);
+        }
+        const branch = (parent) => el('ul', {}, (children.get(parent) || []).map(sid => el('li', {},
+            el('span', {
+                class: sid === selected ? 'sid selected' : 'sid',
+                onclick: () => { selected = sid; render(); },
+            }, `<${nodes.get(sid).tag}> ${sid}`),
+            children.has(sid) ? branch(sid) : null)));
+        return branch(null);
+    }
+
+    function nodeSection(nodes) {
+        const node = selected && nodes.get(selected);
+        if (!node) return el('section', {}, el('h4', {}, 'Node'), 'Click an element in the tree.');
+        const { values, handles } = node.scope.flatten();
+        const local = node.scope.nearestLocal();
+        const ns = local && TagMark.namespaces.locals.get(local.root);
+        return el('section', {},
+            el('h4', {}, `Node <${node.tag}> ${selected}`),
+            el('table', {},
+                Object.entries(values).map(([k, v]) => el('tr', {}, el('td', {}, k), el('td', {}, brief(v)))),
+                Object.entries(handles).map(([k, h]) => el('tr', {}, el('td', {}, `@${k}`), el('td', {}, [h.root, ...h.path].join('.'))))),
+            ns ? [el('h4', {}, `Local namespace ${local.root}`), stateTree(ns)] : null);
+    }
+
+    function render() {
+        if (!panel) return;
+        // Keep an edit in progress
+        if (panel.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+        // Elements of unmounted roots are gone
+        for (const sid of nodes.keys()) if (!TagMark._roots.has(rootOf(sid))) nodes.delete(sid);
+        const roots = [...TagMark._roots].map(([sid, entry]) => ({ sid, reads: [...entry.reads], dirty: entry.dirty }));
+        const slowest = [...profile].map(([expr, stat]) => ({ expr, ...stat })).sort((a, b) => b.time - a.time).slice(0, 50);
+        panel.replaceChildren(...[
+            el('header', {},
+                el('span', {}, 'TagMark'),
+                el('span', {},
+                    el('button', { onclick: () => { profile.clear(); render(); } }, 'Reset timings'),
+                    el('button', { onclick: () => { collapsed = !collapsed; render(); } }, collapsed ? '▴' : '▾'),
+                    el('button', { onclick: close }, '×'))),
+            collapsed ? null : [
+                el('section', {}, el('h4', {}, 'Roots (namespaces read in the last render)'),
+                    el('ul', {}, roots.map(r => el('li', { class: r.dirty ? 'dirty' : '' }, `${r.sid}${r.dirty ? ' (dirty)' : ''}: ${r.reads.join(', ') || '(none)'}`)))),
+                el('section', {}, el('h4', {}, 'Elements'), sidTree(nodes)),
+                nodeSection(nodes),
+                el('section', {}, el('h4', {}, 'Namespaces'),
+                    ['global', 'url', 'route'].map(name => el('div', {}, `@${name}`, stateTree(TagMark.namespaces[name])))),
+                el('section', {}, el('h4', {}, 'Expressions (count, total ms)'),
+                    el('table', {}, slowest.map(p => el('tr', {},
+                        el('td', {}, String(p.count)), el('td', {}, p.time.toFixed(2)), el('td', {}, p.expr))))),
+            ],
+        ].flat().filter(Boolean));
+    }
+
+    // Redraw after TagMark has re-rendered
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(render, 50);
+    }
+
+    function open() {
+        if (panel) return;
+        if (!global.TagMark || !TagMark.act) {
+            throw new Error('TagMark devtools: load tagmark.js first and open after TagMark has started');
+        }
+        document.head.append(el('style', { id: 'tagmark-devtools-style' }, STYLE));
+        panel = el('div', { id: 'tagmark-devtools' });
+        panel.addEventListener('focusout', schedule);
+        document.body.append(panel);
+        instrument();
+        TagMark.refresh(); // Re-render to collect the scopes
+        unsubscribe = TagMark.act.eventBus.subscribe('*', schedule);
+        schedule();
+    }
+
+    function close() {
+        if (!panel) return;
+        unsubscribe();
+        clearTimeout(timer);
+        uninstrument();
+        panel.remove();
+        document.getElementById('tagmark-devtools-style')?.remove();
+        panel = null;
+    }
+
+    global.TagMarkDevtools = { open, close, refresh: render };
+
+    global.TagMark.ready(() => setTimeout(open));
+})(typeof window !== 'undefined' ? window : this);
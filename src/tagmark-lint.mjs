@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+// TagMark lint: finds template mistakes without a browser. Runs in Node:
+//   node src/tagmark-lint.mjs page.html [more.html ...]
+// prints "file:line: severity: message (rule)" per problem and exits 1 if any is an error.
+// As a module: lint(html, {file}) and lintFile(path) return [{file, line, severity, rule, message}].
+//
+// Templates are compiled by tagmark.js itself (loaded into a VM context), so the def, each and
+// interpolation parsers are the runtime's own. HTML is read by a small tokenizer that keeps
+// line numbers; it does not apply HTML's implied end tags (e.g. an unclosed <p> or <li>).
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+import vm from 'node:vm';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+// ---- Runtime ----
+
+let runtime = null;
+
+function loadRuntime() {
+    if (!runtime) {
+        const context = vm.createContext({ console, Node: { ELEMENT_NODE: 1, TEXT_NODE: 3, COMMENT_NODE: 8 } });
+        vm.runInContext(fs.readFileSync(path.join(__dirname, 'tagmark.js'), 'utf8'), context, { filename: 'tagmark.js' });
+        runtime = context.TagMark;
+    }
+    return runtime;
+}
+
+// ---- HTML ----
+
+const VOID_TAGS = new Set(['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'SOURCE', 'TRACK', 'WBR']);
+const RAW_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA', 'TITLE']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(s) {
+    return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+        if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+        return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    });
+}
+
+// Just enough of the DOM for TagMark.compile. tagName keeps the source case, for messages.
+class SourceElement {
+    constructor(tagName, parentNode) {
+        this.nodeType = 1;
+        this.tagName = tagName;
+        this.attributes = [];
+        this.childNodes = [];
+        this.parentNode = parentNode;
+    }
+    getAttribute(name) {
+        const attr = this.attributes.find(a => a.name === name);
+        return attr ? attr.value : null;
+    }
+}
+
+// Parse HTML source into SourceElements and text nodes, keeping line numbers. It does not apply
+// HTML's implied end tags (e.g. an unclosed <p> or <li>). Returns {document, lines (node ->
+// line), selfClosing: [{tag, line}] of non-void "<Tag/>", whose slash HTML ignores}.
+function parseHtml(source) {
+    const document = new SourceElement('#DOCUMENT', null);
+    const lines = new WeakMap();
+    const selfClosing = [];
+    const stack = [document];
+    let pos = 0;
+    let line = 1;
+    const advance = (to) => {
+        for (let i = source.indexOf('\n', pos); i !== -1 && i < to; i = source.indexOf('\n', i + 1)) line++;
+        pos = to;
+    };
+    const at = (re) => {
+        re.lastIndex = pos;
+        return re.exec(source);
+    };
+    const addText = (text) => {
+        const parent = stack[stack.length - 1];
+        const node = { nodeType: 3, textContent: decodeEntities(text), parentNode: parent };
+        const lead = text.slice(0, text.search(/\S|$/));
+        lines.set(node, line + (lead.match(/\n/g) || []).length);
+        parent.childNodes.push(node);
+    };
+
+    while (pos < source.length) {
+        if (source.startsWith('<!--', pos)) {
+            const end = source.indexOf('-->', pos + 4);
+            stack[stack.length - 1].childNodes.push({ nodeType: 8 });
+            advance(end === -1 ? source.length : end + 3);
+            continue;
+        }
+        if (source.startsWith('<!', pos) || source.startsWith('<?', pos)) {
+            const end = source.indexOf('>', pos);
+            advance(end === -1 ? source.length : end + 1);
+            continue;
+        }
+        const close = at(/<\/([^\s/>]+)[^>]*>/y);
+        if (close) {
+            const tag = close[1].toUpperCase();
+            const i = stack.map(n => n.tagName.toUpperCase()).lastIndexOf(tag);
+            if (i > 0) stack.length = i;
+            advance(pos + close[0].length);
+            continue;
+        }
+        const open = at(/<([A-Za-z][^\s/>]*)/y);
+        if (!open) {
+            // Text runs to the next tag; a "<" that starts none is text
+            const next = /<[A-Za-z!/?]/g;
+            next.lastIndex = pos + 1;
+            const end = next.exec(source)?.index ?? source.length;
+            addText(source.slice(pos, end));
+            advance(end);
+            continue;
+        }
+
+        const parent = stack[stack.length - 1];
+        const el = new SourceElement(open[1], parent);
+        lines.set(el, line);
+        parent.childNodes.push(el);
+        advance(pos + open[0].length);
+        let selfClose = false;
+        for (;;) {
+            advance(at(/\s*/y)[0].length + pos);
+            if (pos >= source.length || source[pos] === '>') {
+                advance(pos + 1);
+                break;
+            }
+            if (source.startsWith('/>', pos)) {
+                selfClose = true;
+                advance(pos + 2);
+                break;
+            }
+            const attr = at(/([^\s/>=][^\s/>=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y);
+            if (!attr) {
+                advance(pos + 1); // Stray "/"
+                continue;
+            }
+            const name = attr[1].toLowerCase();
+            const value = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+            if (!el.attributes.some(a => a.name === name)) el.attributes.push({ name, value });
+            advance(pos + attr[0].length);
+        }
+
+        const tag = el.tagName.toUpperCase();
+        if (VOID_TAGS.has(tag)) continue;
+        if (selfClose) selfClosing.push({ tag: open[1], line: lines.get(el) });
+        if (RAW_TEXT_TAGS.has(tag)) {
+            const end = source.toLowerCase().indexOf(`</${tag.toLowerCase()}`, pos);
+            const stop = end === -1 ? source.length : end;
+            if (stop > pos) {
+                stack.push(el);
+                addText(source.slice(pos, stop));
+                stack.pop();
+            }
+            advance(stop);
+            continue;
+        }
+        stack.push(el);
+    }
+    return { document, lines, selfClosing };
+}
+
+function descendants(node, out = []) {
+    for (const child of node.childNodes || []) {
+        if (child.nodeType !== 1) continue;
+        out.push(child);
+        descendants(child, out);
+    }
+    return out;
+}
+
+// ---- Scopes ----
+
+// What the runtime would have in scope at a point in the template: handle and $variable names,
+// each with the line that defined it
+class LintScope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.handles = new Map(); // UPPERCASE name -> {name, line}
+        this.values = new Map();
+    }
+    fork() { return new LintScope(this); }
+    find(kind, name) {
+        return this[kind].get(name.toUpperCase()) || (this.parent ? this.parent.find(kind, name) : null);
+    }
+}
+
+// @Name references outside string literals; the ${...} parts of template literals are code
+function handleRefs(expr) {
+    let code = '';
+    let quote = null;
+    const substitutions = []; // open ${...} in template literals: count of unclosed "{" in each
+    for (let i = 0; i < expr.length; i++) {
+        const c = expr[i];
+        if (quote) {
+            if (c === '\\') {
+                i++;
+            } else if (c === quote) {
+                quote = null;
+            } else if (quote === '`' && c === '$' && expr[i + 1] === '{') {
+                substitutions.push(0);
+                quote = null;
+                i++;
+            }
+            continue;
+        }
+        if (c === '"' || c === "'" || c === '`') {
+            quote = c;
+            code += ' ';
+            continue;
+        }
+        if (substitutions.length && c === '{') {
+            substitutions[substitutions.length - 1]++;
+        } else if (substitutions.length && c === '}' && substitutions[substitutions.length - 1]-- === 0) {
+            substitutions.pop();
+            quote = '`';
+            continue;
+        }
+        code += c;
+    }
+    return [...code.matchAll(/@([A-Za-z_]\w*)/g)].map(m => m[1]);
+}
+
+const AsyncFunction = (async () => {}).constructor;
+
+// Whether an expression compiles as the runtime compiles it (handles renamed to identifiers);
+// effect handlers may also be statement blocks and use await
+function compiles(expr, effect = false) {
+    const code = expr.replace(/@([A-Za-z_]\w*)/g, '$H$$$1');
+    const bodies = effect ? [`return (${code}\n);`, `${code}\n`] : [`return (${code}\n);`];
+    return bodies.some(body => (effect ? [Function, AsyncFunction] : [Function]).some(Ctor => {
+        try {
+            new Ctor(`"use strict";${body}`);
+            return true;
+        } catch {
+            return false;
+        }
+    }));
+}
+
+const stripBraces = (s) => s.replace(/^\{|\}$/g, '');
+const LOOP_ROLES = new Set(['value', 'index', 'field', 'isFirst', 'isLast']);
+
+// ---- Linter ----
+
+class Linter {
+    constructor(file) {
+        this.file = file;
+        this.problems = [];
+        this.templates = new Map(); // NAME -> {name, line, params, init, plans, slotNames, rootIndex}
+        this.lines = null; // source node -> line
+        this.planLines = new WeakMap(); // plan -> line
+        this.rootIndex = 0;
+    }
+
+    report(severity, rule, line, message) {
+        this.problems.push({ file: this.file, line, severity, rule, message });
+    }
+
+    run(html) {
+        const { document, lines, selfClosing } = parseHtml(html);
+        this.lines = lines;
+        for (const { tag, line } of selfClosing) {
+            this.report('warning', 'self-closing', line, `<${tag}/> is not self-closing in HTML: what follows becomes its content. Write <${tag}></${tag}>`);
+        }
+        const all = descendants(document);
+
+        const globalEl = all.find(el => el.tagName.toUpperCase() === 'TAG-MARK-GLOBAL');
+        if (globalEl && globalEl.getAttribute('init')) {
+            this.checkExpression(stripBraces(globalEl.getAttribute('init')), new LintScope(), lines.get(globalEl), 'init');
+        }
+
+        // Like bootstrap: each root's templates are collected (and taken out of its tree) before it renders
+        const roots = all.filter(el => el.tagName.toUpperCase() === 'TAG-MARK');
+        roots.forEach((root, rootIndex) => {
+            for (const node of descendants(root).filter(el => el.tagName.toUpperCase().includes(':TEMPLATE'))) {
+                node.parentNode.childNodes.splice(node.parentNode.childNodes.indexOf(node), 1);
+                const name = node.tagName.split(':')[0].toUpperCase();
+                const plans = this.compile(node.childNodes, name);
+                this.templates.set(name, {
+                    name: node.tagName,
+                    line: lines.get(node),
+                    params: (node.getAttribute('params') || '').split(',').map(s => s.trim()).filter(Boolean),
+                    init: node.getAttribute('init'),
+                    plans,
+                    slotNames: this.slotNames(plans, name),
+                    rootIndex,
+                });
+            }
+        });
+
+        roots.forEach((root, rootIndex) => {
+            this.rootIndex = rootIndex;
+            const scope = this.baseScope();
+            const shallow = new root.constructor(root.tagName, null);
+            shallow.attributes = root.attributes;
+            lines.set(shallow, lines.get(root));
+            const plan = this.compile([shallow], 'TAG-MARK')[0];
+            this.defineAll(plan, scope);
+            this.checkInit(plan.init, scope, this.lineOf(plan));
+            this.lintChildren(this.compile(root.childNodes, 'TAG-MARK'), scope);
+        });
+        for (const template of this.templates.values()) {
+            this.rootIndex = template.rootIndex;
+            const scope = this.baseScope();
+            this.addHandle(scope, template.name.split(':')[0], template.line);
+            for (const p of template.params) {
+                if (p.startsWith('@')) this.addHandle(scope, p.slice(1), template.line);
+                else this.addValue(scope, p, template.line);
+            }
+            this.checkInit(template.init, scope, template.line);
+            this.lintChildren(template.plans, scope);
+        }
+        return this.problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+    }
+
+    // Render plans from the runtime; they keep one plan per node, so each plan's line is its node's
+    compile(nodes, srcId) {
+        const plans = loadRuntime().compile(nodes, srcId);
+        this.mapLines(plans, nodes);
+        return plans;
+    }
+
+    mapLines(plans, nodes) {
+        plans.forEach((plan, i) => {
+            this.planLines.set(plan, this.lines.get(nodes[i]) ?? null);
+            if (plan.children) this.mapLines(plan.children, nodes[i].childNodes);
+        });
+    }
+
+    lineOf(plan) {
+        return this.planLines.get(plan) ?? null;
+    }
+
+    slotNames(plans, templateName, names = new Set()) {
+        for (const p of plans) {
+            if (p.type !== 'element') continue;
+            if (p.kind === 'slot') {
+                const slotName = p.tag.split(':')[0];
+                names.add(slotName === templateName ? 'DEFAULT' : slotName);
+            }
+            this.slotNames(p.children, templateName, names);
+        }
+        return names;
+    }
+
+    baseScope() {
+        const scope = new LintScope();
+        for (const name of ['Global', 'Url', 'Route']) scope.handles.set(name.toUpperCase(), { name, line: null });
+        return scope;
+    }
+
+    // ---- Definitions ----
+
+    addHandle(scope, name, line) {
+        const own = scope.handles.get(name.toUpperCase());
+        if (own && own.name !== name) {
+            this.report('error', 'case-collision', line, `Handle @${name} conflicts with @${own.name}${own.line ? ` (line ${own.line})` : ''}: names are case-insensitive`);
+        }
+        scope.handles.set(name.toUpperCase(), { name, line });
+    }
+
+    addValue(scope, name, line) {
+        const seen = scope.find('values', name);
+        if (seen && seen.name !== name) {
+            this.report('error', 'case-collision', line, `${name} differs only in case from ${seen.name}${seen.line ? ` (line ${seen.line})` : ''}: names are case-insensitive`);
+        }
+        scope.values.set(name.toUpperCase(), { name, line });
+    }
+
+    defineAll(plan, scope) {
+        const line = this.lineOf(plan);
+        if (plan.defs.local) this.addHandle(scope, plan.defs.local, line);
+        for (const d of plan.defs.defs) {
+            if (d.error) {
+                this.report('error', 'def-syntax', line, `${d.error} in def="${plan.attrs.get('def')}"`);
+            } else if (d.stored) {
+                this.addHandle(scope, d.handle, line);
+            } else if (d.handle) {
+                this.checkHandlePath(d.rhs, scope, line, 'def');
+                this.addHandle(scope, d.handle, line);
+            } else {
+                this.checkExpression(d.expr, scope, line, 'def');
+                this.addValue(scope, d.value, line);
+            }
+        }
+    }
+
+    // ---- Expressions ----
+
+    checkHandles(expr, scope, line, where) {
+        for (const name of handleRefs(expr)) {
+            if (!scope.find('handles', name)) this.report('error', 'unknown-handle', line, `Unknown handle @${name} in ${where}`);
+        }
+    }
+
+    checkHandlePath(expr, scope, line, where) {
+        const name = expr.trim().replace(/^@/, '').split('.')[0];
+        if (!scope.find('handles', name)) this.report('error', 'unknown-handle', line, `Unknown handle @${name} in ${where}`);
+    }
+
+    checkExpression(expr, scope, line, where, { effect = false } = {}) {
+        this.checkHandles(expr, scope, line, where);
+        const ok = compiles(expr, effect);
+        if (!ok) this.report('error', 'expression-syntax', line, `Invalid expression in ${where}: ${expr.trim()}`);
+        return ok;
+    }
+
+    checkInit(init, scope, line) {
+        if (!init) return;
+        const expr = stripBraces(init);
+        if (!this.checkExpression(expr, scope, line, 'init') && expr.includes(':') && !expr.trim().startsWith('{')) {
+            this.report('error', 'expression-syntax', line, 'Object literals in init need double braces: init="{ {key: value} }"');
+        }
+    }
+
+    // Interpolated text or attribute, as the plan split it: check each {expression}
+    checkInterpolation(text, parts, scope, line, where, literalBraces = false) {
+        if (!text.includes('{')) return;
+        for (const item of parts) {
+            if (item.type === 'expr') this.checkHandles(item.expr, scope, line, where);
+            else if (item.value === '{' && !literalBraces) {
+                this.report('warning', 'expression-syntax', line, `Braces in ${where} hold no valid expression and render as text: ${text.trim()}`);
+            }
+        }
+    }
+
+    checkProps(plan, scope) {
+        for (const p of plan.props) {
+            if (p.handler != null) {
+                const sc = scope.fork();
+                sc.values.set('$EVENT', { name: '$event', line: null });
+                this.checkExpression(p.handler, sc, this.lineOf(plan), p.name, { effect: true });
+            } else if (!p.literal) {
+                this.checkInterpolation(p.value, p.parts, scope, this.lineOf(plan), `${p.name}="${p.value}"`);
+            }
+        }
+    }
+
+    // ---- Elements ----
+
+    lintChildren(plans, scope) {
+        let prev = null;
+        for (const plan of plans) {
+            if (plan.type === 'text') {
+                const raw = /^(SCRIPT|STYLE)$/i.test(plan.parentTag || '');
+                this.checkInterpolation(plan.text, plan.parts, scope, this.lineOf(plan), 'text', raw);
+                continue;
+            }
+            if (plan.type !== 'element') continue;
+            if (plan.tag === 'ELSE' && !(prev && ['WHEN', 'ELSE', 'LOOP'].includes(prev.tag))) {
+                this.report('error', 'else-placement', this.lineOf(plan), '<Else> must directly follow a <When>, <Else> or <Loop>');
+            }
+            this.lintElement(plan, scope);
+            prev = plan;
+        }
+    }
+
+    lintElement(plan, scope) {
+        const line = this.lineOf(plan);
+        const sc = scope.fork();
+        const template = plan.kind === 'element' && this.templates.get(plan.tag);
+        if (template) return this.lintUsage(plan, scope, template);
+        this.defineAll(plan, sc);
+        if (plan.test) this.checkExpression(plan.test, sc, line, 'test');
+        switch (plan.kind) {
+            case 'loop': return this.lintLoop(plan, sc);
+            case 'watch': {
+                this.checkHandlePath(stripBraces(plan.attrs.get('on') || ''), sc, line, 'on');
+                const action = (plan.attrs.get('do') || '').trim();
+                if (!action.startsWith('@{') || !action.endsWith('}')) {
+                    this.report('error', 'watch-syntax', line, 'Watch requires do="@{...}"');
+                } else {
+                    const ws = sc.fork();
+                    this.addValue(ws, '$new', null);
+                    this.addValue(ws, '$old', null);
+                    this.checkExpression(action.slice(2, -1), ws, line, 'do', { effect: true });
+                }
+                return;
+            }
+            case 'route': this.addValue(sc, '$params', null); break;
+            case 'fallback':
+                this.addValue(sc, '$error', null);
+                this.addValue(sc, '$retry', null);
+                break;
+            case 'form': this.addHandle(sc, 'Form', null); break;
+        }
+        this.checkInit(plan.init, sc, line);
+        this.checkProps(plan, sc);
+        this.lintChildren(plan.children, sc);
+    }
+
+    lintLoop(plan, scope) {
+        const line = this.lineOf(plan);
+        const desc = plan.each;
+        if (!desc) return this.report('error', 'each-syntax', line, 'Loop missing each');
+        if (desc.error) return this.report('error', 'each-syntax', line, `${desc.error}: each="${plan.attrs.get('each')}"`);
+        this.checkExpression(desc.expr, scope, line, 'each');
+        const iter = scope.fork();
+        for (const [name, role] of desc.bindings) {
+            if (role && !LOOP_ROLES.has(role)) {
+                this.report('warning', 'each-syntax', line, `Unknown loop binding role "${role}" (expected ${[...LOOP_ROLES].join(', ')})`);
+            }
+            this.addValue(iter, name, line);
+        }
+        if (desc.markerExpr != null) this.checkExpression(desc.markerExpr, iter, line, 'marked by');
+        this.lintChildren(plan.children, iter);
+    }
+
+    lintUsage(plan, scope, template) {
+        const line = this.lineOf(plan);
+        const name = plan.tagName;
+        if (template.rootIndex > this.rootIndex) {
+            this.report('error', 'template-order', line,
+                `<${name}> is used before ${template.name} (line ${template.line}) is defined: templates register root by root, in page order`);
+        }
+        if (plan.init && template.init) {
+            this.report('error', 'duplicate-init', line,
+                `<${name}> has init on both the usage and its template (line ${template.line}): use init on the template OR on the usage, not both`);
+        }
+        this.checkInit(plan.init, scope, line);
+        const params = new Set();
+        for (const p of template.params) {
+            const attrName = p.replace(/^[@$]/, '').toLowerCase();
+            params.add(attrName);
+            const value = plan.attrs.get(attrName);
+            if (p.startsWith('@')) this.checkHandlePath(value ? stripBraces(value) : p, scope, line, attrName);
+            else if (value != null && value.startsWith('{') && value.endsWith('}')) this.checkExpression(value.slice(1, -1), scope, line, attrName);
+        }
+        this.checkProps({ ...plan, props: plan.props.filter(p => !params.has(p.name)) }, scope);
+        // Named slot content renders at the usage site with the slot's params; the rest is the default slot
+        for (const child of plan.children) {
+            if (child.type === 'element' && template.slotNames.has(child.tag) && child.tag !== 'DEFAULT') {
+                const sc = scope.fork();
+                for (const p of (child.attrs.get('params') || '').split(',').map(s => s.trim()).filter(Boolean)) this.addValue(sc, p, this.lineOf(child));
+                this.lintChildren(child.children, sc);
+            } else {
+                this.lintChildren([child], scope);
+            }
+        }
+    }
+}
+
+export function lint(html, { file = '<input>' } = {}) {
+    return new Linter(file).run(html);
+}
+
+export function lintFile(file) {
+    return lint(fs.readFileSync(file, 'utf8'), { file });
+}
+
+export function formatProblem({ file, line, severity, rule, message }) {
+    return `${file}:${line ?? 0}: ${severity}: ${message} (${rule})`;
+}
+
+// ---- CLI ----
+
+if (process.argv[1] && path.resolve(process.argv[1]) === url.fileURLToPath(import.meta.url)) {
+    const files = process.argv.slice(2);
+    if (!files.length) {
+        console.error('Usage: node src/tagmark-lint.mjs file.html [...]');
+        process.exit(2);
+    }
+    let errors = 0;
+    for (const file of files) {
+        for (const problem of lintFile(file)) {
+            console.log(formatProblem(problem));
+            if (problem.severity === 'error') errors++;
+        }
+    }
+    process.exit(errors ? 1 : 0);
+}
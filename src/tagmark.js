@@ -73,18 +73,45 @@
         return obj instanceof Handle;
     }
 
+    // A Handle, an effect-mode handle proxy, or a path string like "global.user.name"; else null.
+    // Local namespace ids may contain dots (<tag-mark id="a.b">), so a string starting with one of
+    // the locals is split only after it.
+    function toHandle(target, locals = []) {
+        if (isHandle(target)) return target;
+        if (target && target.__isHandleProxy) return target.__handle;
+        if (typeof target !== 'string') return null;
+        const str = target.replace(/^@/, '');
+        let root = str.split('.')[0];
+        for (const id of locals) {
+            if (id.length > root.length && (str === id || str.startsWith(id + '.'))) root = id;
+        }
+        const path = str.slice(root.length + 1).split('.').filter(Boolean);
+        const shared = ['global', 'url', 'route'].find(ns => ns === root.toLowerCase());
+        return new Handle(shared || root, path);
+    }
+
     function resolveNamespace(app, root) {
         switch (root) {
             case 'global':
                 return app.namespaces.global;
             case 'url':
                 return app.namespaces.url;
+            case 'route':
+                return app.namespaces.route;
             default:
                 return app.namespaces.locals.get(root);
         }
     }
 
+    // ActDown state id backing a handle root
+    function namespaceId(root) {
+        return root === 'global' || root === 'url' || root === 'route' ? root : `local:${root}`;
+    }
+
+    let nsTracker = null; // Set of namespace ids read by the root being rendered, else null
+
     function readHandle(app, handle) {
+        if (nsTracker) nsTracker.add(namespaceId(handle.root));
         const base = resolveNamespace(app, handle.root);
         if (base == null) return undefined;
         let cur = base;
@@ -120,6 +147,16 @@
         return val;
     }
 
+    // Comparable form of a plain value: objects by their stable JSON
+    function valueKey(val) {
+        return val !== null && typeof val === 'object' ? stableStringify(val) : val;
+    }
+
+    // Plain snapshot of the value at a handle (DeepProxies are unwrapped before cloning)
+    function handleSnapshot(app, handle) {
+        return snapshotValue(unwrapProxy(readHandle(app, handle)));
+    }
+
     // ---- SID ----
 
     function makeSid(parentSid, segment, iteration) {
@@ -127,6 +164,52 @@
         return `${parentSid}/${segment}${iter}`;
     }
 
+    function rootOfSid(sid) {
+        return sid.split('/')[0];
+    }
+
+    // clear-on-unmount="true" (or bare) opts in; "false" or absent keeps state
+    function clearsOnUnmount(node) {
+        const val = node.getAttribute('clear-on-unmount');
+        return val != null && val !== 'false';
+    }
+
+    // ---- Error Records ----
+
+    // Record where an error happened as e.tagmark = {sid, tag, attribute, expression, phase, srcId}.
+    // Render steps annotate on the way out; fields set by an inner step are kept.
+    function annotateError(e, info) {
+        if (!e || typeof e !== 'object') return e;
+        const ctx = e.tagmark || {};
+        for (const [k, v] of Object.entries(info)) {
+            if (ctx[k] == null && v != null) ctx[k] = v;
+        }
+        try { e.tagmark = ctx; } catch { /* frozen error objects keep no location */ }
+        return e;
+    }
+
+    // Where in the expression to point: the identifier a ReferenceError or property TypeError names
+    function errorColumn(error, expression) {
+        const msg = (error && error.message) || '';
+        const m = /^(\S+) is not defined/.exec(msg) || /\((?:reading|setting) '([^']+)'\)/.exec(msg);
+        if (!m) return 0;
+        const at = expression.search(new RegExp(`(^|[^\\w$])${m[1].replace(/[$]/g, '\\$&')}(?![\\w$])`));
+        return at === -1 ? 0 : at + (/^[\w$]/.test(expression.slice(at)) ? 0 : 1);
+    }
+
+    // Source location of an error record as text:
+    //   at TAG-MARK,UL#1,LOOP#1 each="$item of {@items} marked by {$item.id}"
+    //                                          ^
+    function formatErrorLocation(record) {
+        if (!record.srcId && !record.sid) return '';
+        const where = `at ${record.srcId || record.sid}`;
+        if (record.expression == null) return record.attribute ? `${where} ${record.attribute}` : where;
+        const expression = String(record.expression).split('\n').map(s => s.trim()).join(' ');
+        const prefix = `${where} ${record.attribute ? `${record.attribute}=` : ''}"`;
+        const column = errorColumn(record.error, expression);
+        return `${prefix}${expression}"\n${' '.repeat(prefix.length + column)}^`;
+    }
+
     // ---- Scope ----
 
     class Scope {
@@ -135,8 +218,16 @@
             this.values = Object.create(null);
             this.handles = Object.create(null);
             this.imports = new Set();
+            this.localHandle = null; // Set where a local namespace is introduced (as local, form, component)
+            this.outlet = null; // Set by a matched <Route>: renders its matched child route at <Outlet/>
         }
         fork() { return new Scope(this); }
+        nearestLocal() {
+            return this.localHandle || (this.parent ? this.parent.nearestLocal() : null);
+        }
+        nearestOutlet() {
+            return this.outlet || (this.parent ? this.parent.nearestOutlet() : null);
+        }
         // Case-insensitive lookup helper
         _findCI(obj, name) {
             if (name in obj) return { key: name, value: obj[name] };
@@ -184,20 +275,64 @@
         }
     }
 
-    function addDefinitions(app, scope, defAttr) {
-        if (!defAttr) return scope;
-        const parts = defAttr.split(',').map(s => s.trim()).filter(Boolean);
-        for (const part of parts) {
-            const [lhs, rhs] = part.split(':=').map(s => s.trim());
-            if (!lhs || !rhs) throw new Error('Invalid def syntax');
-            if (lhs.startsWith('@')) {
-                const handle = parseHandleExpression(scope, rhs);
-                scope.setHandle(lhs.slice(1), handle);
-            } else if (lhs.startsWith('$')) {
-                const expr = rhs.replace(/^\{|\}$/g, '');
-                scope.setValue(lhs, app.evalPure(expr, scope));
+    // Split a def attribute on top-level commas; commas inside {...}, (...), [...] or quotes
+    // belong to expressions
+    function splitDefs(defAttr) {
+        const parts = [];
+        let depth = 0, quote = null, start = 0;
+        for (let i = 0; i < defAttr.length; i++) {
+            const c = defAttr[i];
+            if (quote) {
+                if (c === '\\') i++;
+                else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'" || c === '`') {
+                quote = c;
+            } else if ('{(['.includes(c)) {
+                depth++;
+            } else if ('})]'.includes(c)) {
+                depth--;
+            } else if (c === ',' && depth === 0) {
+                parts.push(defAttr.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(defAttr.slice(start));
+        return parts.map(s => s.trim()).filter(Boolean);
+    }
+
+    function compileDef(part) {
+        // "@X as stored('name')" or "@X as stored('name', 'session')"
+        const stored = part.match(/^@(\w+)\s+as\s+stored\(\s*(['"])([^'"]+)\2\s*(?:,\s*(['"])(\w+)\4\s*)?\)$/);
+        if (stored) return { handle: stored[1], stored: { name: stored[3], area: stored[5] || 'local' } };
+        const [lhs, rhs] = part.split(':=').map(s => s.trim());
+        if (!lhs || !rhs) return { error: 'Invalid def syntax' };
+        if (lhs.startsWith('@')) return { handle: lhs.slice(1), rhs };
+        if (!lhs.startsWith('$')) return { error: 'Invalid def variable' };
+        // "$x := computed {expr}" memoizes the result until a namespace it read changes
+        const computed = rhs.match(/^computed\s*(\{[\s\S]*\})$/);
+        return { value: lhs, expr: stripBraces(computed ? computed[1] : rhs), computed: !!computed };
+    }
+
+    // Parse a def attribute into {local, history, defs}. local names the "@X as local" handle,
+    // where the element supports one; elsewhere that clause is left in and reported as invalid
+    // syntax. history is set by "@X as local with history".
+    function compileDefs(defAttr, allowLocal = false) {
+        if (!defAttr) return { local: null, history: false, defs: [] };
+        const asLocal = allowLocal && defAttr.match(/@(\w+)\s+as\s+local(\s+with\s+history)?/);
+        const cleaned = asLocal ? defAttr.replace(/@\w+\s+as\s+local(\s+with\s+history)?,?\s*/, '').trim() : defAttr;
+        return { local: asLocal ? asLocal[1] : null, history: !!(asLocal && asLocal[2]), defs: splitDefs(cleaned).map(compileDef) };
+    }
+
+    // Errors in a def are raised when it is evaluated, so they are reported against the element
+    function addDefinitions(app, scope, defs) {
+        for (const d of defs) {
+            if (d.error) throw new Error(d.error);
+            if (d.stored) {
+                scope.setHandle(d.handle, new Handle(app.storedNamespace(d.stored.name, d.stored.area)));
+            } else if (d.handle) {
+                scope.setHandle(d.handle, parseHandleExpression(scope, d.rhs));
             } else {
-                throw new Error('Invalid def variable');
+                scope.setValue(d.value, d.computed ? app.evalComputed(d.expr, scope) : app.evalPure(d.expr, scope));
             }
         }
         return scope;
@@ -213,24 +348,543 @@
         return new Handle(rootName, rest);
     }
 
+    // ---- URL ----
+
+    // Hash mode: "#/path?a=1#b=2" is an optional route path whose query holds persistent keys,
+    // then further fragments. Each fragment is a query string, or JSON when a value is structured.
+    function parseHash(hash) {
+        const parts = hash.replace(/^#/, '').split('#').filter(Boolean);
+        let path = '/';
+        if (parts.length && parts[0].startsWith('/')) {
+            const [routePath, query] = parts.shift().split(/\?(.*)/s);
+            path = routePath;
+            if (query) parts.unshift(query);
+        }
+        const state = {};
+        for (const part of parts) {
+            if (part.startsWith('{') || part.startsWith('%7B')) {
+                Object.assign(state, JSON.parse(decodeURIComponent(part)));
+            } else {
+                for (const [k, v] of new URLSearchParams(part)) state[k] = v;
+            }
+        }
+        return { path, state };
+    }
+
+    function serializeFragment(obj) {
+        const keys = Object.keys(obj);
+        if (!keys.length) return '';
+        const complex = Object.values(obj).some(v => typeof v === 'object');
+        if (complex) {
+            const sorted = {};
+            keys.sort().forEach(k => sorted[k] = obj[k]);
+            return encodeURIComponent(JSON.stringify(sorted));
+        }
+        const params = new URLSearchParams();
+        keys.sort().forEach(k => params.set(k, obj[k]));
+        return compactParams(params);
+    }
+
+    // Commas and colons are legal in a query or fragment; leaving them unescaped keeps typed
+    // arrays and dates readable
+    function compactParams(params) {
+        return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+    }
+
+    function formatHash(path, persistent, transient) {
+        const frag1 = serializeFragment(persistent);
+        const frag2 = serializeFragment(transient);
+        // A route path leads, with the persistent keys as its query
+        const lead = path && path !== '/' ? (frag1 ? `${path}?${frag1}` : path) : frag1;
+        const parts = [lead, frag2].filter(Boolean);
+        return parts.length ? '#' + parts.join('#') : '#';
+    }
+
+    // Query mode: one query string; structured values are JSON per key
+    function parseQuery(search) {
+        const state = {};
+        for (const [k, v] of new URLSearchParams(search)) {
+            if (/^[[{]/.test(v)) {
+                try {
+                    state[k] = JSON.parse(v);
+                    continue;
+                } catch { /* a plain string after all */ }
+            }
+            state[k] = v;
+        }
+        return state;
+    }
+
+    // Split the synced keys of a URL state into {persistent, transient} objects, with typed
+    // values encoded and values equal to their key's default left out
+    function pickUrlKeys({ include, transient: transientKeys, types }, state) {
+        const pick = (keys) => {
+            const out = {};
+            keys.forEach(k => {
+                if (state[k] == null) return;
+                const spec = types.get(k);
+                const value = spec ? encodeUrlValue(spec.type, state[k]) : state[k];
+                if (value !== undefined && (spec?.defText === undefined || String(value) !== spec.defText)) out[k] = value;
+            });
+            return out;
+        };
+        return { persistent: pick(include), transient: pick(transientKeys) };
+    }
+
+    function formatQuery(persistent, transient) {
+        const params = new URLSearchParams();
+        for (const obj of [persistent, transient]) {
+            for (const k of Object.keys(obj).sort()) {
+                params.set(k, typeof obj[k] === 'object' ? JSON.stringify(obj[k]) : obj[k]);
+            }
+        }
+        return compactParams(params);
+    }
+
+    // Typed @Url keys. Each type decodes a URL string (or an already parsed value) into what
+    // @Url holds, and encodes it back as a short string. undefined means "no valid value".
+    const URL_TYPES = {
+        string: {
+            decode: v => String(v),
+        },
+        number: {
+            decode: v => {
+                const n = Number(v);
+                return v === '' || Number.isNaN(n) ? undefined : n;
+            },
+        },
+        boolean: {
+            decode: v => v === true || v === 1 || v === 'true' || v === '1',
+            encode: v => v ? '1' : '0',
+            empty: '0',
+        },
+        array: {
+            // Elements are strings; "a,b" in the URL. Commas inside an element are escaped.
+            decode: v => Array.isArray(v) ? v.map(String) : v === '' ? [] : String(v).split(',').map(decodeURIComponent),
+            encode: v => v.map(e => e.replace(/%/g, '%25').replace(/,/g, '%2C')).join(','),
+            empty: '',
+        },
+        date: {
+            decode: v => {
+                const d = new Date(v);
+                return Number.isNaN(d.getTime()) ? undefined : d;
+            },
+            // Dates at UTC midnight are written as YYYY-MM-DD
+            encode: d => {
+                const iso = d.toISOString();
+                return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+            },
+        },
+    };
+
+    // "name", "name:type", "name=default" or "name:type=default", comma separated.
+    // Booleans default to false and arrays to empty. Returns [{key, type, defText}], where
+    // defText is the default in its encoded (URL) form.
+    function parseUrlKeys(attr) {
+        return (attr || '').split(',').map(s => s.trim()).filter(Boolean).map(src => {
+            const m = src.match(/^([^:=\s]+)\s*(?::\s*(\w+))?\s*(?:=\s*(.*))?$/);
+            if (!m) throw new Error(`Invalid <Url> key "${src}"`);
+            const [, key, type = null, def] = m;
+            const urlType = type && URL_TYPES[type.toLowerCase()];
+            if (type && !urlType) {
+                throw new Error(`Unknown type "${type}" for <Url> key "${key}" (expected ${Object.keys(URL_TYPES).join(', ')})`);
+            }
+            const defText = def !== undefined ? encodeUrlValue(urlType && type.toLowerCase(), def) : urlType?.empty;
+            return { key, type: urlType ? type.toLowerCase() : null, defText };
+        });
+    }
+
+    function decodeUrlValue(type, value) {
+        return type ? URL_TYPES[type].decode(value) : value;
+    }
+
+    // Normalize through decode first so e.g. a number assigned to a boolean key encodes as one
+    function encodeUrlValue(type, value) {
+        if (!type) return value;
+        const { decode, encode = String } = URL_TYPES[type];
+        const decoded = decode(value);
+        return decoded === undefined ? undefined : encode(decoded);
+    }
+
+    // Typed values as read from the URL; typed keys missing from it take their default
+    function decodeUrlState(types, state) {
+        for (const [k, { type, defText }] of types) {
+            const value = k in state ? decodeUrlValue(type, state[k]) : undefined;
+            if (value !== undefined) state[k] = value;
+            else if (defText !== undefined) state[k] = decodeUrlValue(type, defText);
+            else delete state[k];
+        }
+        return state;
+    }
+
+    // ---- Storage ----
+
+    // Areas persisted state can live in. Web Storage areas are looked up on use, since touching
+    // them can throw (e.g. in sandboxed iframes); null if unavailable. indexeddb is asynchronous
+    // and goes through idbRequest instead.
+    const STORAGE_AREAS = {
+        local: () => localStorage,
+        session: () => sessionStorage,
+        indexeddb: () => null,
+    };
+    const STORAGE_PREFIX = 'tagmark:';
+
+    function storageArea(area) {
+        try {
+            return STORAGE_AREAS[area]() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The "state" object store of the "tagmark" database holds the same "tagmark:<name>" -> text
+    // records as Web Storage. Opened on first use; rejects if IndexedDB is not available.
+    let idbDatabase = null;
+
+    function idbRequest(mode, request) {
+        if (!idbDatabase) {
+            idbDatabase = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined' || !indexedDB) throw new Error('IndexedDB is not available');
+                const open = indexedDB.open('tagmark', 1);
+                open.onupgradeneeded = () => open.result.createObjectStore('state');
+                open.onsuccess = () => resolve(open.result);
+                open.onerror = () => reject(open.error);
+            });
+        }
+        return idbDatabase.then(db => new Promise((resolve, reject) => {
+            const req = request(db.transaction('state', mode).objectStore('state'));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }));
+    }
+
+    // <tag-mark-global persist="prefs:local, draft:session"> -> [{name, area}]; area defaults to local
+    function parsePersist(attr) {
+        return (attr || '').split(',').map(s => s.trim()).filter(Boolean).map(src => {
+            const [name, area = 'local'] = src.split(':').map(s => s.trim());
+            return { name, area };
+        });
+    }
+
+    // ---- Cross-tab sync ----
+
+    const SYNC_CHANNEL = 'tagmark-sync';
+
+    // <tag-mark-global sync="global.cart, global.user"> -> [['cart'], ['user']], paths in @Global
+    function parseSync(attr) {
+        return (attr || '').split(',').map(s => s.trim()).filter(Boolean).map(src => {
+            const [ns, ...path] = src.split('.');
+            if (ns.toLowerCase() !== 'global') {
+                throw new Error(`Cannot sync "${src}": only @Global paths can be synced (e.g. "global.cart")`);
+            }
+            return path;
+        });
+    }
+
+    function isRecord(v) {
+        return v !== null && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    // Make a namespace hold exactly the keys of data (an object, or nothing)
+    function replaceContents(proxy, data) {
+        const next = isRecord(data) ? data : {};
+        Object.keys(proxy).forEach(k => { if (!(k in next)) delete proxy[k]; });
+        Object.assign(proxy, next);
+    }
+
+    function valueAt(obj, path) {
+        for (const seg of path) obj = obj == null ? undefined : obj[seg];
+        return obj;
+    }
+
+    // Changed paths between two plain snapshots: [{path, value}] or [{path, deleted: true}].
+    // Objects are compared key by key; arrays and other values are replaced whole.
+    function diffPaths(before, after, path = [], out = []) {
+        if (isRecord(before) && isRecord(after)) {
+            for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                if (!(k in after)) out.push({ path: [...path, k], deleted: true });
+                else diffPaths(before[k], after[k], [...path, k], out);
+            }
+        } else if (stableStringify(before) !== stableStringify(after)) {
+            out.push(after === undefined ? { path, deleted: true } : { path, value: after });
+        }
+        return out;
+    }
+
+    // ---- Routes ----
+
+    function splitPath(path) {
+        return path.split(/[?#]/)[0].split('/').filter(Boolean);
+    }
+
+    // Match pattern segments ("users", ":id", "*") against path segments. A prefix match leaves
+    // the unmatched segments in rest for nested routes.
+    function matchPattern(pattern, segs, prefix) {
+        const params = {};
+        for (let i = 0; i < pattern.length; i++) {
+            const p = pattern[i];
+            if (p === '*') {
+                params['*'] = segs.slice(i).join('/');
+                return { params, rest: [] };
+            }
+            if (i >= segs.length) return null;
+            if (p.startsWith(':')) params[p.slice(1)] = decodeURIComponent(segs[i]);
+            else if (p !== segs[i]) return null;
+        }
+        const rest = segs.slice(pattern.length);
+        return rest.length && !prefix ? null : { params, rest };
+    }
+
+    // Matched routes, outermost first: [{route, params}], or null. A Route containing Routes is a
+    // layout: it matches a prefix of the path and its first matching child takes the rest.
+    function matchRoutes(routes, segs) {
+        for (const route of routes) {
+            const m = matchPattern(route.pattern, segs, route.routes.length > 0);
+            if (!m) continue;
+            if (!route.routes.length) return [{ route, params: m.params }];
+            const inner = matchRoutes(route.routes, m.rest);
+            if (inner) return [{ route, params: m.params }, ...inner];
+            if (!m.rest.length) return [{ route, params: m.params }];
+        }
+        return null;
+    }
+
+    // ---- Render Plans ----
+    // Template DOM is compiled once, per <tag-mark> root and :Template, into plan nodes holding
+    // everything that does not depend on scope. Render passes only evaluate plans.
+
+    const BOOLEAN_ATTRS = new Set([
+        'disabled', 'checked', 'readonly', 'required', 'autofocus',
+        'autoplay', 'controls', 'loop', 'muted', 'default', 'defer',
+        'hidden', 'ismap', 'multiple', 'novalidate', 'open', 'reversed',
+        'selected', 'async', 'formnovalidate', 'nomodule', 'playsinline'
+    ]);
+
+    // Attributes TagMark consumes instead of rendering
+    const DIRECTIVE_ATTRS = new Set(['def', 'test', 'each', 'params', 'init', 'marker', 'import', 'clear-on-unmount', 'bind']);
+
+    const PLAN_KINDS = {
+        LOOP: 'loop', WHEN: 'when', ELSE: 'when', URL: 'url', WATCH: 'watch',
+        ERRORBOUNDARY: 'boundary', FALLBACK: 'fallback', FORM: 'form',
+        ROUTES: 'routes', ROUTE: 'route', OUTLET: 'outlet',
+    };
+
+    function stripBraces(s) {
+        return s.replace(/^\{|\}$/g, '');
+    }
+
+    const planStats = { compiled: 0 }; // Plan nodes compiled, for TagMarkDebug.getExprCacheStats
+    const SPLIT_CHECK_LIMIT = 1000;
+    const splitChecks = new Map(); // "expr||handles" -> compiles; bounded like the computed cache
+
+    // Upper-cased @Name references in an expression
+    function handleNames(expr) {
+        return [...new Set([...expr.matchAll(/@([A-Za-z_]\w*)/g)].map(m => m[1].toUpperCase()))];
+    }
+
+    // Whether expr compiles with the named handles transformed (by default every @Name in it)
+    function compilesWithHandles(expr, names = handleNames(expr)) {
+        const key = `${expr}||${names.join(',')}`;
+        let ok = splitChecks.get(key);
+        if (ok === undefined) {
+            try {
+                ExpressionStrategy.makeFunction([], transformHandles(expr, new Set(names)));
+                ok = true;
+            } catch {
+                ok = false;
+            }
+            if (splitChecks.size >= SPLIT_CHECK_LIMIT) splitChecks.delete(splitChecks.keys().next().value);
+            splitChecks.set(key, ok);
+        }
+        return ok;
+    }
+
+    // Split interpolated text into [{type: 'lit', value} | {type: 'expr', expr, raw, handles}]. A "{"
+    // is closed by the first "}" that leaves a compilable expression, so braces inside expressions
+    // work; a "{" that no "}" closes is literal. Plans split their text once, at compile time.
+    function splitInterpolation(text) {
+        const s = String(text);
+        const parts = [];
+        let i = 0;
+        while (i < s.length) {
+            const open = s.indexOf('{', i);
+            if (open === -1) {
+                parts.push({ type: 'lit', value: s.slice(i) });
+                break;
+            }
+            if (open > i) parts.push({ type: 'lit', value: s.slice(i, open) });
+
+            let found = false;
+            for (let j = open + 1; j <= s.length; j++) {
+                if (s[j] !== '}') continue;
+                const body = s.slice(open + 1, j).trim();
+                if (!compilesWithHandles(body)) continue;
+                parts.push({ type: 'expr', expr: body, raw: s.slice(open, j + 1), handles: handleNames(body) });
+                i = j + 1;
+                found = true;
+                break;
+            }
+            if (!found) {
+                parts.push({ type: 'lit', value: '{' });
+                i = open + 1;
+            }
+        }
+        return parts;
+    }
+
+    // Plans keep one entry per child node (comments included) so child indexes, and the SIDs
+    // built from them, match the source. Each plan's src = {srcId} locates it in the source:
+    // srcId is the spec's path from the root or template, e.g. 'TOOLBAR,DIV#4,WHEN#2' (1-based per tag).
+    function compilePlans(childNodes, parentSrcId = 'TAG-MARK') {
+        const ordinals = new Map();
+        const plans = Array.from(childNodes, node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return compilePlan(node, parentSrcId);
+            const tag = node.tagName.toUpperCase();
+            const n = (ordinals.get(tag) || 0) + 1;
+            ordinals.set(tag, n);
+            return compilePlan(node, `${parentSrcId},${tag}#${n}`);
+        });
+        let next = null;
+        for (let i = plans.length - 1; i >= 0; i--) {
+            if (plans[i].type !== 'element') continue;
+            plans[i].nextElement = next;
+            next = plans[i];
+        }
+        return plans;
+    }
+
+    // Slot names a template's plans declare; <Name:Slot> in template Name is the default slot
+    function collectSlotNames(plans, templateName, names = new Set()) {
+        for (const p of plans) {
+            if (p.type !== 'element') continue;
+            if (p.kind === 'slot') {
+                const slotName = p.tag.split(':')[0];
+                names.add(slotName === templateName ? 'DEFAULT' : slotName);
+            }
+            collectSlotNames(p.children, templateName, names);
+        }
+        return names;
+    }
+
+    function compilePlan(node, srcId) {
+        planStats.compiled++;
+        const src = { srcId };
+        if (node.nodeType === Node.TEXT_NODE) {
+            const parent = node.parentNode && node.parentNode.tagName;
+            const text = node.textContent;
+            return { type: 'text', text, parts: splitInterpolation(text), parentTag: parent || null, src };
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return { type: 'other' };
+        const tag = node.tagName.toUpperCase();
+        const kind = tag.endsWith(':SLOT') ? 'slot' : PLAN_KINDS[tag] || 'element';
+        // parts: the value split for interpolation (component and slot attributes pass through)
+        const attrList = Array.from(node.attributes, a => ({ name: a.name, value: a.value, parts: splitInterpolation(a.value) }));
+        const attrs = new Map(attrList.map(a => [a.name.toLowerCase(), a.value]));
+        const test = attrs.get('test');
+        const children = compilePlans(node.childNodes, srcId);
+        const routed = kind === 'routes' || kind === 'route';
+
+        // Rendered attributes in source order: @{...} handlers and (possibly interpolated) values
+        const props = [];
+        for (const { name, value, parts } of attrList) {
+            if (DIRECTIVE_ATTRS.has(name)) continue;
+            if (name.startsWith('on')) {
+                const handler = value.trim();
+                if (handler.startsWith('@{') && handler.endsWith('}')) props.push({ name, handler: handler.slice(2, -1) });
+                continue;
+            }
+            props.push({ name, value, parts, boolean: BOOLEAN_ATTRS.has(name), literal: !value.includes('{') });
+        }
+
+        return {
+            type: 'element',
+            kind,
+            tag,
+            tagName: node.tagName,
+            attrs,
+            attrList,
+            props,
+            defs: compileDefs(attrs.get('def'), kind === 'element'),
+            test: test == null ? null : stripBraces(test),
+            init: attrs.get('init') ?? null,
+            imports: (attrs.get('import') || '').split(',').map(s => s.trim()).filter(Boolean),
+            clearOnUnmount: clearsOnUnmount(node),
+            children,
+            nextElement: null,
+            each: kind === 'loop' ? compileEach(attrs.get('each')) : null,
+            pattern: kind === 'route' ? splitPath(attrs.get('path') || '') : null,
+            routes: routed ? children.filter(p => p.kind === 'route') : null,
+            src,
+        };
+    }
+
+    // Parse a Loop's each attribute: "$var as role, ... of {expression} marked by {marker}" or
+    // "marked by index/field". The expression ends at the first "}" that compiles.
+    function parseEach(attr) {
+        // Find " of " (with flexible whitespace) to split bindings from expression
+        const ofMatch = attr.match(/\s+of\s+\{/);
+        if (!ofMatch) throw new Error('Invalid each syntax: missing "of {expression}"');
+        const bindings = attr.slice(0, ofMatch.index).split(',').map(s => s.trim()).filter(Boolean);
+        const braceStart = ofMatch.index + ofMatch[0].length - 1; // position of the '{'
+
+        let exprEnd = -1;
+        let expr = '';
+        for (let i = braceStart + 1; i < attr.length; i++) {
+            if (attr[i] !== '}') continue;
+            const candidate = attr.slice(braceStart + 1, i).trim();
+            if (compilesWithHandles(candidate)) {
+                expr = candidate;
+                exprEnd = i;
+                break;
+            }
+        }
+        if (exprEnd === -1) throw new Error('Invalid each syntax: no valid expression found in braces');
+
+        // Rest should be " marked by ..."
+        const markerMatch = attr.slice(exprEnd + 1).trim().match(/^marked by (.+)$/);
+        if (!markerMatch) throw new Error('Invalid each syntax: missing "marked by"');
+        const marker = markerMatch[1].trim();
+        return {
+            bindings: bindings.map(b => b.split(' as ').map(s => s.trim())),
+            expr,
+            marker,
+            markerExpr: marker === 'index' || marker === 'field' ? null : stripBraces(marker),
+        };
+    }
+
+    // A plan's parsed each; a syntax error is kept and thrown when the Loop renders
+    function compileEach(attr) {
+        if (!attr) return null;
+        try {
+            return parseEach(attr);
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
     // ---- Expressions ----
 
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
     let ExpressionStrategy = {
         /**
          * Create a callable JavaScript function for a TagMark expression.
          *
          * @param {string[]} params - Parameter names
          * @param {string} body    - Expression text placed inside `return (...)`
+         * @param {{block?: boolean, async?: boolean}} [options] - block: body is a statement list,
+         *        placed verbatim; async: create an async function (the body uses `await`)
          * @returns {Function}
          */
-        makeFunction(params, body) {
-            return new Function(...params, `"use strict";return (${body});`);
+        makeFunction(params, body, { block = false, async = false } = {}) {
+            const Ctor = async ? AsyncFunction : Function;
+            return new Ctor(...params, block ? `"use strict";${body}` : `"use strict";return (${body});`);
         },
     };
 
     function setExpressionStrategy(strategy) {
         if (!strategy || typeof strategy.makeFunction !== 'function') {
-            throw new Error('TagMark expression strategy must provide makeFunction(params, body)');
+            throw new Error('TagMark expression strategy must provide makeFunction(params, body, options)');
         }
         ExpressionStrategy = strategy;
     }
@@ -255,9 +909,10 @@
     // Case-insensitive function evaluator
     // Compiles once, evaluates many times with different env values
     class CaseInsensitiveFunction {
-        constructor(expr, { ciPrefixes = ['$', HANDLE_PREFIX] } = {}) {
+        constructor(expr, { ciPrefixes = ['$', HANDLE_PREFIX], allowBlock = false } = {}) {
             this.expr = expr;
             this.ci = ciPrefixes;
+            this.allowBlock = allowBlock;
             this.fn = null;
             this.params = null;
             this.aliasToCanon = null;
@@ -291,11 +946,30 @@
             const aliasToCanon = this._buildAliases(ciVars);
             const params = this._buildParamNames(ciVars, csNames, aliasToCanon);
 
-            this.fn = ExpressionStrategy.makeFunction(params, this.expr);
+            this.fn = this._makeFunction(params);
             this.params = params;
             this.aliasToCanon = aliasToCanon;
         }
 
+        // Effect bodies may be statement blocks: if the body doesn't parse as an expression,
+        // compile it verbatim (an explicit `return` supplies the result). A body that parses only
+        // inside an async function (it uses `await`) compiles to one.
+        _makeFunction(params) {
+            if (!this.allowBlock) return ExpressionStrategy.makeFunction(params, this.expr);
+            let error;
+            for (const async of [false, true]) {
+                for (const block of [false, true]) {
+                    try {
+                        return ExpressionStrategy.makeFunction(params, this.expr, { block, async });
+                    } catch (e) {
+                        if (!(e instanceof SyntaxError)) throw e;
+                        error = e;
+                    }
+                }
+            }
+            throw error;
+        }
+
         _canonicalCI(env) {
             const ciVars = Object.create(null);
             for (const k in env) {
@@ -349,26 +1023,28 @@
         }
     }
 
-    function handlesKey(handles) {
-        // Cache on the handles object itself since flatten() is already cached
-        if (handles._keyCache !== undefined) return handles._keyCache;
-        const names = Object.keys(handles);
-        if (!names.length) {
-            handles._keyCache = '';
-            return '';
+    // Upper-cased handle names of a flattened scope: a sorted cache key and a Set. Keyed by the
+    // handles object, since flatten() results are cached (a property on it would be copied to children).
+    const handleNameCache = new WeakMap();
+    function scopeHandles(handles) {
+        let info = handleNameCache.get(handles);
+        if (!info) {
+            const names = Object.keys(handles).map(n => n.toUpperCase()).sort();
+            info = { key: names.join(','), set: new Set(names) };
+            handleNameCache.set(handles, info);
         }
-        handles._keyCache = names.map(n => n.toUpperCase()).sort().join(',');
-        return handles._keyCache;
+        return info;
     }
 
     // Compile expression with scope-aware handle transformation and caching
-    function compileExpr(expr, flatScope, cache, stats) {
-        const cacheKey = `${expr}||${handlesKey(flatScope.handles)}`;
+    // allowBlock (effect expressions only) permits statement-block bodies
+    function compileExpr(expr, flatScope, cache, stats, allowBlock = false) {
+        const cacheKey = `${allowBlock ? '@' : ''}${expr}||${scopeHandles(flatScope.handles).key}`;
         if (cache && cache.has(cacheKey)) return cache.get(cacheKey);
 
         const knownHandles = new Set(Object.keys(flatScope.handles));
         const transformed = transformHandles(expr, knownHandles);
-        const compiled = new CaseInsensitiveFunction(transformed);
+        const compiled = new CaseInsensitiveFunction(transformed, { allowBlock });
 
         if (stats) stats.compiled++;
         if (cache) cache.set(cacheKey, compiled);
@@ -390,12 +1066,34 @@
         return val;
     }
 
+    // Members of a handle with undo history attached (TagMark.history)
+    const HISTORY_PROPS = new Set(['$undo', '$redo', '$canUndo', '$canRedo']);
+    // Members of a handle that report its async effect handlers (see trackAsync)
+    const ASYNC_PROPS = new Set(['$pending', '$error']);
+
     function makeHandleProxy(app, handle, mode = 'effect') {
         return new Proxy(() => {}, {
             get: (_, prop) => {
                 if (prop === '__isHandleProxy') return true;
+                if (prop === '__handle') return handle;
                 const base = readHandle(app, handle);
 
+                if (ASYNC_PROPS.has(prop)) {
+                    if (nsTracker) nsTracker.add(namespaceId(handle.root));
+                    const status = app._asyncStatus.get(`${handle.root}|${handle.path.join('.')}`);
+                    return prop === '$pending' ? !!status?.count : status?.error ?? null;
+                }
+                if (HISTORY_PROPS.has(prop)) {
+                    const history = app._undo.histories.get(`${handle.root}|${handle.path.join('.')}`);
+                    if (history) {
+                        if (prop === '$canUndo' || prop === '$canRedo') return history[prop.slice(1)];
+                        return () => {
+                            if (mode === 'pure') throw new Error('Pure expressions must not mutate state');
+                            return history[prop.slice(1)]();
+                        };
+                    }
+                }
+
                 // valueOf: return current value (frozen snapshot in pure mode)
                 if (prop === 'valueOf') {
                     if (mode === 'pure' && typeof base !== 'function') {
@@ -474,17 +1172,70 @@
     }
 
     function evalPure(app, expr, scope) {
-        const flat = scope.flatten();
-        const compiled = compileExpr(expr, flat, app._exprCache, app._exprCacheStats);
-        const env = buildEnv(app, flat, 'pure');
-        return compiled.evaluate(env);
+        try {
+            const flat = scope.flatten();
+            const compiled = compileExpr(expr, flat, app._exprCache, app._exprCacheStats);
+            return compiled.evaluate(buildEnv(app, flat, 'pure'));
+        } catch (e) {
+            throw annotateError(e, { expression: expr });
+        }
+    }
+
+    // Cache key for a computed definition: the expression, where each visible handle points,
+    // and the values of the $variables it mentions
+    function computedKey(expr, flat) {
+        const handles = Object.entries(flat.handles)
+            .filter(([, h]) => isHandle(h))
+            .map(([k, h]) => `@${k}=${h.root}/${h.path.join('.')}`).join(',');
+        const mentioned = new Set((expr.match(/\$[A-Za-z_]\w*/g) || []).map(n => n.toUpperCase()));
+        const vars = Object.entries(flat.values)
+            .filter(([k]) => mentioned.has(k.toUpperCase()))
+            .map(([k, v]) => {
+                const h = v && v.__isHandleProxy ? v.__handle : null;
+                return `${k}=${h ? `@${h.root}/${h.path.join('.')}` : stableStringify(v)}`;
+            }).join(',');
+        return `${expr}||${handles}||${vars}`;
+    }
+
+    const COMPUTED_CACHE_LIMIT = 1000;
+
+    // A cached value stays valid until a namespace it read is notified of a change (see
+    // namespaceChanged). deps holds [namespace id, version] for each namespace read.
+    function evalComputed(app, expr, scope) {
+        const key = computedKey(expr, scope.flatten());
+        const cached = app._computedCache.get(key);
+        if (cached && cached.deps.every(([ns, version]) => app._nsVersions.get(ns) === version)) {
+            app._computedCache.stats.hits++;
+            // An enclosing tracker still depends on what the cached value read
+            if (nsTracker) cached.deps.forEach(([ns]) => nsTracker.add(ns));
+            return cached.value;
+        }
+        const outer = nsTracker;
+        const reads = nsTracker = new Set();
+        let value;
+        try {
+            value = evalPure(app, expr, scope);
+        } finally {
+            nsTracker = outer;
+        }
+        if (outer) reads.forEach(ns => outer.add(ns));
+        const deps = [...reads].map(ns => [ns, app._nsVersions.get(ns)]);
+        // Bounded: keys include $variable values, so stale entries would otherwise accumulate
+        if (app._computedCache.size >= COMPUTED_CACHE_LIMIT) {
+            app._computedCache.delete(app._computedCache.keys().next().value);
+        }
+        app._computedCache.set(key, { deps, value });
+        return value;
     }
 
     function evalEffect(app, expr, scope) {
-        const flat = scope.flatten();
-        const compiled = compileExpr(expr, flat, app._exprCache, app._exprCacheStats);
-        const env = buildEnv(app, flat, 'effect');
-        return compiled.evaluate(env);
+        try {
+            const flat = scope.flatten();
+            const compiled = compileExpr(expr, flat, app._exprCache, app._exprCacheStats, true);
+            return compiled.evaluate(buildEnv(app, flat, 'effect'));
+        } catch (e) {
+            throw annotateError(e, { expression: expr });
+        }
     }
 
     // ---- Shared ActDown Singleton ----
@@ -493,6 +1244,7 @@
     let sharedActDown = null;
     let globalNamespace = null;
     let urlNamespace = null;
+    let routeNamespace = null;
 
     function getSharedActDown() {
         if (!sharedActDown) {
@@ -505,10 +1257,47 @@
             // Create global namespaces
             globalNamespace = sharedActDown.stateForId('global');
             urlNamespace = sharedActDown.stateForId('url');
+            routeNamespace = sharedActDown.stateForId('route', () => ({ path: '/' }));
         }
         return sharedActDown;
     }
 
+    // ---- <tag-mark> Element ----
+
+    // Every <tag-mark> under node, including those in open shadow roots (which document-wide
+    // queries do not reach)
+    function findRoots(node, found = []) {
+        found.push(...node.querySelectorAll('tag-mark'));
+        for (const el of node.querySelectorAll('*')) {
+            if (el.shadowRoot) findRoots(el.shadowRoot, found);
+        }
+        return found;
+    }
+
+    // Each root boots when it is connected and tears down when it leaves the document. Its local
+    // state lives on by SID, so a root re-created with the same id picks up where the old one left
+    // off. Before bootstrap (while the page is still parsing) connecting does nothing.
+    function defineRootElement(app) {
+        if (typeof customElements === 'undefined' || customElements.get('tag-mark')) return;
+        customElements.define('tag-mark', class extends HTMLElement {
+            static get observedAttributes() { return ['init', 'def', 'import']; }
+
+            connectedCallback() {
+                app.attachRoot(this);
+            }
+
+            disconnectedCallback() {
+                // A move (disconnected and connected again in the same task) keeps the root mounted
+                queueMicrotask(() => app.detachRoot(this));
+            }
+
+            attributeChangedCallback(name, oldValue, newValue) {
+                if (oldValue !== newValue) app.remountRoot(this);
+            }
+        });
+        app._mounting.customElement = true;
+    }
+
     // ---- Main Runtime ----
 
     class TagMarkRuntime {
@@ -517,6 +1306,7 @@
             this.namespaces = {
                 global: null,
                 url: null,
+                route: null,
                 locals: new Map(),
             };
             this.templates = new Map();
@@ -524,8 +1314,37 @@
             this._globalInitialized = false;
             this._exprCache = new Map();
             this._exprCacheStats = { compiled: 0 };
-            this._parseCache = new Map(); // Cache for parsed interpolation structure
-            this._compileCheckCache = new Map(); // Cache for _canCompile results
+            this._computedCache = new Map(); // computedKey -> {deps, value} for "computed" definitions
+            this._computedCache.stats = { hits: 0 };
+            this._nsVersions = new Map(); // namespace id -> count of change notifications
+            this._asyncStatus = new Map(); // "root|path" of a local namespace -> {count, error} of its async handlers
+            this._mounted = new Map(); // root SID -> Map(SID -> unmount callback) from the last pass
+            this._pass = null; // Same, for the pass in progress
+            this._watchers = new Map(); // <Watch> SID -> {key, stop, scope, expr}
+            this._boundaryErrors = new Map(); // <ErrorBoundary> SID -> caught error, until retry
+            this._boundary = null; // Innermost boundary being rendered: {error}
+            this._errorListeners = new Set();
+            this._roots = new Map(); // root SID -> {refresh, reads: Set(namespace id), dirty}
+            this._rootElements = new Map(); // Mounted root element -> {sid, source: its original child nodes, named, options}
+            this._booted = false;
+            // Roots found after bootstrap: SIDs TAG-MARK#0, #1, ... for those without an id (count), and
+            // the MutationObserver that finds them, unless <tag-mark> is our custom element
+            this._mounting = { count: 0, observer: null, customElement: false, remounting: false };
+            // URL sync: mounted <Url> SID -> {include, transient} key specs, rendered <Routes> SID -> its
+            // route plans (for link interception), and when a persistent change last pushed history
+            this._url = { started: false, keys: new Map(), routeTables: new Map(), lastPersistentChange: -Infinity, reading: false };
+            // Persisted state: storage name -> {name, area, root, get, set, timer, text} entries and
+            // {version, migrate} options from defineStorage; sync is the cross-tab channel state
+            this._storage = { entries: new Map(), options: new Map(), sync: null };
+            // Undo histories from TagMark.history by "root|path" of the handle, and those whose
+            // namespace changed since their last commit
+            this._undo = { histories: new Map(), pending: new Set() };
+            this.strict = false; // When true, expression errors in text throw instead of rendering inline
+            this.urlMode = 'hash'; // 'hash' or 'query' (pathname + search), from <tag-mark-global url-mode>
+            this.urlBase = ''; // Pathname prefix before the route path in query mode
+            this.historyDebounce = 300; // ms within which persistent URL changes share one history entry
+            this.storageDebounce = 200; // ms of quiet before persisted state is written
+            this.undoLimit = 100; // Steps an undo history keeps by default
         }
 
         ensureActDown() {
@@ -533,11 +1352,113 @@
                 this.act = getSharedActDown();
                 this.namespaces.global = globalNamespace;
                 this.namespaces.url = urlNamespace;
+                this.namespaces.route = routeNamespace;
+                // Roots join ActDown's refresh loop as one step that renders only the dirty ones
+                this.act._internal.refreshFns.push(() => this.refreshRoots());
+                this.act.eventBus.subscribe('*', (ev) => this.namespaceChanged(ev.namespace));
+            }
+        }
+
+        // Mount a root that re-renders only when a namespace it read during its last render
+        // is notified, or when refresh() asks for it
+        mountRoot(sid, container, renderFn) {
+            const act = this.act._internal;
+            container.innerHTML = '';
+            let oldChildren = [];
+            const entry = { reads: new Set(), dirty: true };
+            entry.refresh = () => {
+                entry.dirty = false;
+                const outer = nsTracker;
+                const reads = entry.reading = nsTracker = new Set();
+                try {
+                    // Components expand during prune, so their reads count for this root too
+                    const children = act.preRender(act.prune([renderFn()]));
+                    act.updateChildren({ children: oldChildren }, { children }, container);
+                    oldChildren = children;
+                } finally {
+                    nsTracker = outer;
+                    entry.reads = reads;
+                    entry.reading = null;
+                }
+            };
+            this._roots.set(sid, entry);
+            this.act.scheduleRefresh();
+        }
+
+        refreshRoots() {
+            for (const entry of this._roots.values()) {
+                if (entry.dirty) entry.refresh();
+            }
+        }
+
+        // Called for every namespace notification: invalidates computed values (by version) and
+        // marks the roots that read ns
+        namespaceChanged(ns) {
+            this._nsVersions.set(ns, (this._nsVersions.get(ns) || 0) + 1);
+            this.markReaders(ns);
+        }
+
+        markReaders(ns) {
+            for (const entry of this._roots.values()) {
+                // A write during the root's own render invalidates what it has read so far
+                if (entry.reads.has(ns) || (entry.reading && entry.reading.has(ns))) entry.dirty = true;
+            }
+        }
+
+        // Re-render one root (by SID), or every root
+        refresh(rootSid) {
+            for (const [sid, entry] of this._roots) {
+                if (rootSid == null || sid === rootSid) entry.dirty = true;
+            }
+            if (this.act) this.act.scheduleRefresh();
+        }
+
+        // Subscribe to error records {sid, tag, attribute, expression, phase, srcId, location, error};
+        // returns an unsubscribe function
+        onError(cb) {
+            this._errorListeners.add(cb);
+            return () => this._errorListeners.delete(cb);
+        }
+
+        // Deliver an error to onError listeners, or to the console when nobody is listening
+        reportError(error, info = {}) {
+            annotateError(error, info);
+            const ctx = (error && error.tagmark) || info;
+            const record = {
+                sid: ctx.sid ?? null,
+                tag: ctx.tag ?? null,
+                attribute: ctx.attribute ?? null,
+                expression: ctx.expression ?? null,
+                phase: ctx.phase ?? null,
+                srcId: ctx.srcId ?? null,
+                error,
+            };
+            record.location = formatErrorLocation(record);
+            if (this._errorListeners.size === 0) {
+                console.error(`TagMark ${record.phase || 'render'} error at ${record.sid || '?'}: ${error && error.message}${record.location ? `\n${record.location}` : ''}`, error);
+            }
+            for (const cb of [...this._errorListeners]) {
+                try {
+                    cb(record);
+                } catch (e) {
+                    console.error('Error in TagMark.onError listener:', e);
+                }
+            }
+            return record;
+        }
+
+        // Run fn, recording where it failed on any error it throws
+        guard(info, fn) {
+            try {
+                return fn();
+            } catch (e) {
+                throw annotateError(e, info);
             }
         }
 
         evalPure(expr, scope) { return evalPure(this, expr, scope); }
         evalEffect(expr, scope) { return evalEffect(this, expr, scope); }
+        evalComputed(expr, scope) { return evalComputed(this, expr, scope); }
 
         ensureLocalNamespace(sid, initObj) {
             if (!this.namespaces.locals.has(sid)) {
@@ -552,44 +1473,257 @@
             if (proxy) {
                 Object.keys(proxy).forEach(k => delete proxy[k]);
             }
+            // Forget the namespace, its init and its undo history so the next mount starts fresh
+            for (const [key, history] of this._undo.histories) {
+                if (history.handle.root === sid) {
+                    history.stop();
+                    this._undo.pending.delete(history);
+                    this._undo.histories.delete(key);
+                }
+            }
+            this.namespaces.locals.delete(sid);
+            if (this._initRun) {
+                this._initRun.delete(sid);
+                this._initRun.delete(`${sid}:init`); // A root's own init
+            }
+        }
+
+        // ---- Snapshots ----
+
+        // JSON-safe copy of all state: the shared namespaces, each local namespace by SID, and
+        // the SIDs whose init has run (so restoring does not run them again)
+        snapshot() {
+            const plain = (proxy) => JSON.parse(JSON.stringify(unwrapProxy(proxy) ?? {}));
+            const locals = {};
+            for (const [sid, proxy] of this.namespaces.locals) locals[sid] = plain(proxy);
+            return {
+                version: 1,
+                global: plain(this.namespaces.global),
+                url: plain(this.namespaces.url),
+                route: plain(this.namespaces.route),
+                locals,
+                initRun: [...(this._initRun || [])],
+            };
+        }
+
+        // Replace all state with a snapshot and re-render every root once. Local namespaces
+        // missing from the snapshot are emptied.
+        restore(snapshot) {
+            if (!snapshot || snapshot.version !== 1) throw new Error('TagMark.restore expects a snapshot from TagMark.snapshot()');
+            this.ensureActDown();
+            const { global, url, route } = this.namespaces;
+            // The browser URL is written once, after @Url and @Route hold their final values
+            this._url.reading = true;
+            try {
+                replaceContents(global, snapshot.global);
+                replaceContents(url, snapshot.url);
+                replaceContents(route, { path: '/', ...snapshot.route });
+                for (const [sid, proxy] of this.namespaces.locals) {
+                    if (!(sid in snapshot.locals)) replaceContents(proxy, {});
+                }
+                for (const [sid, data] of Object.entries(snapshot.locals)) {
+                    replaceContents(this.ensureLocalNamespace(sid), data);
+                }
+            } finally {
+                this._url.reading = false;
+            }
+            this._initRun = new Set(snapshot.initRun);
+            this.syncStateToUrl({ replace: true });
+            this.refresh();
+        }
+
+        // ---- Unmount tracking ----
+        // ActDown expands components inside the same refresh as renderRoot, so a microtask
+        // queued when the first root starts rendering runs after the whole pass is complete.
+
+        beginPass(rootSid) {
+            if (!this._pass) {
+                this._pass = new Map();
+                queueMicrotask(() => this.sweepUnmounted());
+            }
+            this._pass.set(rootSid, new Map());
+        }
+
+        // Called with the scope of each element as it renders; tagmark-devtools.js replaces it
+        inspectNode() {}
+
+        // Register fn to run once sid is missing from a later pass (called on every render of sid)
+        onUnmount(sid, fn) {
+            const mounted = this._pass && this._pass.get(rootOfSid(sid));
+            if (mounted) mounted.set(sid, fn);
+        }
+
+        sweepUnmounted() {
+            const pass = this._pass;
+            this._pass = null;
+            for (const [rootSid, mounted] of pass) {
+                for (const [sid, fn] of this._mounted.get(rootSid) || []) {
+                    if (!mounted.has(sid)) fn();
+                }
+                this._mounted.set(rootSid, mounted);
+            }
         }
 
         resetExprCache() {
             this._exprCache.clear();
             this._exprCacheStats.compiled = 0;
-            this._parseCache.clear();
+            this._computedCache.clear();
+            this._computedCache.stats.hits = 0;
         }
 
         getExprCacheStats() {
-            return { cacheSize: this._exprCache.size, compiled: this._exprCacheStats.compiled, parseCache: this._parseCache.size };
+            return {
+                cacheSize: this._exprCache.size,
+                compiled: this._exprCacheStats.compiled,
+                plans: planStats.compiled,
+                computed: this._computedCache.size,
+                computedHits: this._computedCache.stats.hits,
+            };
         }
 
+        // Runs on DOMContentLoaded unless the tagmark.js <script> has data-tagmark-manual; call
+        // TagMark.bootstrap() yourself in that case. Runs once.
         bootstrap() {
+            if (this._booted) return;
+            this._booted = true;
+
             // 1. Process <tag-mark-global> if present (must come before any <tag-mark>)
             this.processGlobalInit();
 
-            // 2. Ensure ActDown singleton exists (lazy creation if no <tag-mark-global>)
+            // 2. Ensure ActDown singleton exists (lazy creation if no <tag-mark-global>)
+            this.ensureActDown();
+
+            // 3. Mount all <tag-mark> roots (open shadow roots included), then any added later
+            findRoots(document).forEach(root => {
+                if (!root.hasAttribute('data-tagmark-manual')) this.mount(root);
+            });
+            this.setupUrlSync();
+            this.observeRoots();
+        }
+
+        // A <tag-mark> that arrived after bootstrap (htmx swaps, widgets). Roots with
+        // data-tagmark-manual and roots inside a mounted root are left alone.
+        attachRoot(element) {
+            if (!this._booted || this._mounting.remounting || !element.isConnected || this._rootElements.has(element)) return;
+            if (element.hasAttribute('data-tagmark-manual')) return;
+            for (let p = element.parentElement; p; p = p.parentElement) {
+                if (this._rootElements.has(p)) return;
+            }
+            this.mount(element);
+        }
+
+        // A mounted root that left the document
+        detachRoot(element) {
+            const mounted = this._rootElements.get(element);
+            if (!mounted || element.isConnected) return;
+            this.unmount(element);
+            // Nothing can reach a numbered root's state again
+            if (!mounted.named) this.forgetRoot(mounted.sid);
+        }
+
+        // Without the <tag-mark> custom element, watch the document for roots coming and going
+        observeRoots() {
+            if (this._mounting.observer || this._mounting.customElement || typeof MutationObserver === 'undefined') return;
+            this._mounting.observer = new MutationObserver((records) => {
+                // Removals first, so a root swapped for one with the same id gets its SID back
+                for (const record of records) {
+                    for (const node of record.removedNodes) {
+                        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                        for (const el of [...this._rootElements.keys()]) {
+                            if (node === el || node.contains(el)) this.detachRoot(el);
+                        }
+                    }
+                }
+                for (const record of records) {
+                    for (const node of record.addedNodes) {
+                        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                        const roots = node.localName === 'tag-mark' ? [node] : node.getElementsByTagName('tag-mark');
+                        for (const el of [...roots]) this.attachRoot(el);
+                    }
+                }
+            });
+            this._mounting.observer.observe(document, { childList: true, subtree: true });
+        }
+
+        // Mount again with the root's current attributes (the <tag-mark> element calls this when
+        // init, def or import change). Local state is kept by SID, so init does not run again.
+        remountRoot(element) {
+            const mounted = this._rootElements.get(element);
+            if (!mounted) return;
+            // Putting the source back connects any <tag-mark> inside it; that one is not a root
+            this._mounting.remounting = true;
+            try {
+                this.unmount(element);
+            } finally {
+                this._mounting.remounting = false;
+            }
+            this.mount(element, mounted.options);
+        }
+
+        // Clear every local namespace under an unmounted root
+        forgetRoot(rootSid) {
+            for (const sid of [...this.namespaces.locals.keys()]) {
+                if (rootOfSid(sid) === rootSid) this.clearNamespace(sid);
+            }
+        }
+
+        // Mount a root element. Its children are the template; options {init, def, import} take
+        // the place of the same-named attributes. Returns the root's SID (the same one if the
+        // element is already mounted). Roots with data-tagmark-manual are only mounted this way.
+        mount(element, options = {}) {
+            const mounted = this._rootElements.get(element);
+            if (mounted) return mounted.sid;
             this.ensureActDown();
-
-            // 3. Process all <tag-mark> roots
-            document.querySelectorAll('tag-mark').forEach((root, idx) => {
-                this.collectTemplates(root);
-                // Capture template children and attributes BEFORE mounting (ActDown clears innerHTML)
-                const templateNodes = Array.from(root.childNodes).map(n => n.cloneNode(true));
-                const rootAttrs = {
-                    init: root.getAttribute('init'),
-                    def: root.getAttribute('def'),
-                    import: root.getAttribute('import'),
-                    id: root.getAttribute('id')
-                };
-                const renderFn = () => {
-                    const vdom = this.renderRoot(templateNodes, idx, rootAttrs);
-                    trace('render', () => ['VDOM', JSON.parse(JSON.stringify(vdom, (k, v) => typeof v === 'function' ? '[Function]' : v))]);
-                    return vdom;
-                };
-                this.act.mount(renderFn, root);
-            });
+            const attr = (name) => options[name] ?? element.getAttribute(name);
+            const source = Array.from(element.childNodes); // Put back by unmount
+            this.collectTemplates(element);
+            // Compile children and attributes BEFORE mounting (mountRoot clears the element)
+            const plans = compilePlans(element.childNodes);
+            const rootAttrs = {
+                init: attr('init'),
+                defs: compileDefs(attr('def'), true),
+                imports: (attr('import') || '').split(',').map(s => s.trim()).filter(Boolean),
+                id: element.getAttribute('id'),
+                src: { srcId: 'TAG-MARK' },
+            };
+            // "TAG-MARK#<id>" for a root with an id, so its state stays with the id when the page
+            // changes around it; otherwise (or if that SID is taken) "TAG-MARK#<n>" in mount order
+            const id = element.getAttribute('id');
+            let sid = id ? `TAG-MARK#${id.replace(/[/%]/g, encodeURIComponent)}` : null;
+            const named = sid !== null && !this._roots.has(sid);
+            while (!sid || this._roots.has(sid)) sid = `TAG-MARK#${this._mounting.count++}`;
+            const renderFn = () => {
+                let vdom;
+                try {
+                    vdom = this.renderRoot(plans, sid, rootAttrs);
+                } catch (e) {
+                    // Keep the refresh loop (and other roots) alive; show the failure in place
+                    this.reportError(e, { sid, tag: 'TAG-MARK', ...rootAttrs.src });
+                    return this.act._internal.error(e, sid);
+                }
+                trace('render', () => ['VDOM', JSON.parse(JSON.stringify(vdom, (k, v) => typeof v === 'function' ? '[Function]' : v))]);
+                return vdom;
+            };
+            this._rootElements.set(element, { sid, source, named, options });
+            this.mountRoot(sid, element, renderFn);
             this.setupUrlSync();
+            return sid;
+        }
+
+        // Stop rendering a root: unmount callbacks run for everything it rendered (watchers stop,
+        // clear-on-unmount state is cleared) and the element gets its original children back.
+        // Other local state is kept by SID. Returns false if the element was not mounted.
+        unmount(element) {
+            const mounted = this._rootElements.get(element);
+            if (!mounted) return false;
+            const { sid, source } = mounted;
+            this._rootElements.delete(element);
+            this._roots.delete(sid);
+            if (this._pass) this._pass.delete(sid);
+            for (const fn of (this._mounted.get(sid) || new Map()).values()) fn();
+            this._mounted.delete(sid);
+            element.replaceChildren(...source);
+            return true;
         }
 
         processGlobalInit() {
@@ -613,6 +1747,14 @@
             // Create the ActDown singleton now
             this.ensureActDown();
 
+            // URL mode: where @Url keys and the route path live
+            const urlMode = globalEl.getAttribute('url-mode');
+            if (urlMode) this.configure({ urlMode });
+            const urlBase = globalEl.getAttribute('url-base');
+            if (urlBase != null) this.configure({ urlBase });
+            const persist = parsePersist(globalEl.getAttribute('persist'));
+            const sync = parseSync(globalEl.getAttribute('sync'));
+
             // Process imports
             const importAttr = globalEl.getAttribute('import');
             const baseScope = new Scope();
@@ -631,10 +1773,22 @@
                         this.deepMerge(this.namespaces.global, initObj);
                     }
                 } catch (e) {
-                    throw new Error(`Error in <tag-mark-global> init: ${e.message}`);
+                    throw annotateError(new Error(`Error in <tag-mark-global> init: ${e.message}`),
+                        { tag: 'TAG-MARK-GLOBAL', attribute: 'init', expression: expr, phase: 'init', srcId: 'TAG-MARK-GLOBAL' });
                 }
             }
 
+            // Persisted subtrees of @Global: stored values win over init
+            for (const { name, area } of persist) {
+                const global = this.namespaces.global;
+                this.persistState(name, area, 'global', () => global[name], (data) => {
+                    if (data === undefined) delete global[name];
+                    else global[name] = data;
+                });
+            }
+
+            this.setupSync(sync);
+
             // Remove the element from DOM (it's purely declarative)
             globalEl.remove();
             this._globalInitialized = true;
@@ -656,47 +1810,65 @@
         collectTemplates(root) {
             root.querySelectorAll('*').forEach(node => {
                 if (node.tagName && node.tagName.includes(':TEMPLATE')) {
-                    const name = node.tagName.split(':')[0].toUpperCase();
-                    const params = (node.getAttribute('params') || '').split(',').map(s => s.trim()).filter(Boolean);
-                    const templateInit = node.getAttribute('init');
-                    // Clone template children before removing from DOM
-                    const templateChildren = Array.from(node.childNodes).map(n => n.cloneNode(true));
-
-                    // Store template metadata for later use
-                    this.templates.set(name, { templateChildren, params, templateInit });
-
-                    // Register as ActDown component
-                    const self = this;
-                    this.act.def(name, ({ props, children }) => {
-                        return self.renderComponentInstance(name, props, children);
+                    // Compile template children before removing from DOM
+                    this.registerTemplate(node.tagName.split(':')[0].toUpperCase(), node.childNodes, {
+                        params: node.getAttribute('params'),
+                        init: node.getAttribute('init'),
                     });
-
                     node.remove();
                 }
             });
         }
 
-        renderRoot(templateNodes, idx, rootAttrs = {}) {
-            const sid = `TAG-MARK#${idx}`;
+        // Compile a template body and register it as an ActDown component. params is the
+        // params attribute ("@item, $title")
+        registerTemplate(name, childNodes, { params = null, init = null } = {}) {
+            const templateChildren = compilePlans(childNodes, name);
+            const slotNames = collectSlotNames(templateChildren, name);
+            this.templates.set(name, {
+                templateChildren,
+                params: (params || '').split(',').map(s => s.trim()).filter(Boolean),
+                templateInit: init,
+                slotNames,
+                src: { srcId: name },
+            });
+
+            const self = this;
+            this.act.def(name, ({ props, children }) => {
+                try {
+                    return self.renderComponentInstance(name, props, children);
+                } catch (e) {
+                    // ActDown's own boundary catches this; let an enclosing <ErrorBoundary> see it first
+                    if (self._boundary) {
+                        if (!self._boundary.error) self._boundary.error = e;
+                    } else {
+                        self.reportError(e, { tag: name });
+                    }
+                    throw e;
+                }
+            });
+        }
+
+        renderRoot(plans, sid, rootAttrs = {}) {
+            this.beginPass(sid);
             const baseScope = new Scope();
             baseScope.setHandle('Global', new Handle('global'));
             baseScope.setHandle('Url', new Handle('url'));
+            baseScope.setHandle('Route', new Handle('route'));
 
             // Process import attribute
-            if (rootAttrs.import) {
-                baseScope.bindImports(rootAttrs.import.split(',').map(s => s.trim()).filter(Boolean));
-            }
+            if (rootAttrs.imports) baseScope.bindImports(rootAttrs.imports);
 
-            // Process def attribute - check for "as local" pattern first
-            const defAttr = rootAttrs.def;
-            const asLocalMatch = defAttr && defAttr.match(/@(\w+)\s+as\s+local/);
-            const localHandle = asLocalMatch ? new Handle(sid) : null;
+            // Process def attribute ("@X as local" names the root's local namespace)
+            const { local, history, defs } = rootAttrs.defs || compileDefs(null);
+            const localHandle = local ? new Handle(sid) : null;
             if (localHandle) {
                 this.ensureLocalNamespace(sid, {});
-                baseScope.setHandle(asLocalMatch[1], localHandle);
+                baseScope.setHandle(local, localHandle);
+                baseScope.localHandle = localHandle;
             }
-            const cleanedDef = defAttr && asLocalMatch ? defAttr.replace(/@\w+\s+as\s+local,?\s*/, '').trim() : defAttr;
-            if (cleanedDef) addDefinitions(this, baseScope, cleanedDef);
+            const at = (attribute, phase) => ({ sid, tag: 'TAG-MARK', attribute, phase, ...rootAttrs.src });
+            this.guard(at('def', 'pure'), () => addDefinitions(this, baseScope, defs));
 
             // Process init attribute (requires local handle)
             if (rootAttrs.init && localHandle) {
@@ -705,27 +1877,29 @@
                 if (!this._initRun.has(initKey)) {
                     this._initRun.add(initKey);
                     const expr = rootAttrs.init.replace(/^\{|\}$/g, '');
-                    const initObj = this.evalPure(expr, baseScope);
+                    const initObj = this.guard(at('init', 'init'), () => this.evalPure(expr, baseScope));
                     if (initObj && typeof initObj === 'object') {
                         Object.assign(this.namespaces.locals.get(sid), initObj);
                     }
                 }
             }
+            // After init, so the initial state is not an undoable step
+            if (localHandle && history) this.history(localHandle);
+            this.inspectNode(sid, 'TAG-MARK', baseScope);
 
-            const children = this.renderChildren(templateNodes, baseScope, sid);
+            const children = this.renderChildren(plans, baseScope, sid);
             return this.act.v('div', {}, ...children);
         }
 
-        // Render a list of child nodes, tracking When/Else context across siblings
+        // Render a list of child plans, tracking When/Else context across siblings
         // opts.slotContext flows down from component templates to reach <Name:Slot> placeholders
-        renderChildren(childNodes, scope, parentSid, opts = {}) {
-            const nodes = Array.from(childNodes);
+        renderChildren(plans, scope, parentSid, opts = {}) {
             const results = [];
             let whenContext = null;
 
-            for (let i = 0; i < nodes.length; i++) {
-                const node = nodes[i];
-                const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toUpperCase() : null;
+            for (let i = 0; i < plans.length; i++) {
+                const plan = plans[i];
+                const tag = plan.type === 'element' ? plan.tag : null;
 
                 // Reset whenContext when we hit a non-When/Else element
                 if (tag && tag !== 'WHEN' && tag !== 'ELSE') {
@@ -738,178 +1912,123 @@
                 }
 
                 // Preserve slotContext from parent, add local whenContext
-                const result = this.renderNode(node, scope, parentSid, `${i}`, { ...opts, whenContext });
+                const result = this.renderNode(plan, scope, parentSid, `${i}`, { ...opts, whenContext });
                 if (result != null) results.push(result);
             }
 
             return results;
         }
 
-        renderNode(node, scope, parentSid, seg, opts = {}) {
-            if (node.nodeType === Node.TEXT_NODE) {
-                const txt = this.interpolateText(node.textContent, scope);
-                return txt;
+        renderNode(plan, scope, parentSid, seg, opts = {}) {
+            if (plan.type === 'text') {
+                return this.interpolateText(plan.parts, scope, { sid: parentSid, tag: plan.parentTag, ...plan.src });
             }
-            if (node.nodeType !== Node.ELEMENT_NODE) return null;
-            const tag = node.tagName.toUpperCase();
-            if (tag.endsWith(':SLOT')) return this.renderSlot(node, scope, parentSid, seg, opts.slotContext);
-            if (tag === 'LOOP') return this.renderLoop(node, scope, parentSid, seg);
-            if (tag === 'WHEN' || tag === 'ELSE') return this.renderWhen(node, scope, parentSid, seg, opts.whenContext);
-            if (tag === 'URL') return this.renderUrl(node, scope, parentSid, seg);
-            // Check if this is a registered component (via ActDown's registry)
-            if (this.act._internal.comps.has(tag)) return this.renderComponentUsage(node, scope, parentSid, seg);
-            if (tag === 'FORM') return this.renderForm(node, scope, parentSid, seg);
-            return this.renderElement(node, scope, parentSid, seg, opts);
-        }
-
-        // Check if expression is syntactically valid JS (compiles)
-        // Takes scope to properly transform handles before syntax check
-        // Uses internal cache to avoid repeated compilation attempts
-        _canCompile(expr, scope) {
-            const flat = scope.flatten();
-            const cacheKey = `${expr}||${handlesKey(flat.handles)}`;
-
-            if (this._compileCheckCache.has(cacheKey)) {
-                return this._compileCheckCache.get(cacheKey);
-            }
-
-            let result;
+            if (plan.type !== 'element') return null;
             try {
-                const knownHandles = new Set(Object.keys(flat.handles));
-                const transformed = transformHandles(expr, knownHandles);
-                ExpressionStrategy.makeFunction([], transformed);
-                result = true;
-            } catch {
-                result = false;
+                return this.renderPlan(plan, scope, parentSid, seg, opts);
+            } catch (e) {
+                // The innermost element that failed names the source location
+                throw annotateError(e, plan.src);
             }
-
-            this._compileCheckCache.set(cacheKey, result);
-            return result;
         }
 
-        // Parse interpolated string - caches the structure (literal vs expr positions)
-        // Returns { parts: [{type: 'lit'|'expr'|'error', value: any}...], singleExpr: bool }
-        _parseStructure(text, scope) {
-            const s = String(text);
-            const flat = scope.flatten();
-            const cacheKey = `${s}||${handlesKey(flat.handles)}`;
-
-            if (this._parseCache.has(cacheKey)) {
-                return this._parseCache.get(cacheKey);
-            }
-
-            // Parse structure: array of {type: 'lit', value: string} or {type: 'expr', expr: string}
-            const structure = [];
-            let i = 0;
-
-            while (i < s.length) {
-                const open = s.indexOf('{', i);
-                if (open === -1) {
-                    if (i < s.length) structure.push({ type: 'lit', value: s.slice(i) });
-                    break;
-                }
-
-                if (open > i) structure.push({ type: 'lit', value: s.slice(i, open) });
-
-                let found = false;
-                for (let j = open + 1; j <= s.length; j++) {
-                    if (s[j] !== '}') continue;
-                    const body = s.slice(open + 1, j).trim();
-                    if (!this._canCompile(body, scope)) continue;
-
-                    structure.push({ type: 'expr', expr: body });
-                    i = j + 1;
-                    found = true;
-                    break;
-                }
-
-                if (!found) {
-                    structure.push({ type: 'lit', value: '{' });
-                    i = open + 1;
-                }
+        renderPlan(plan, scope, parentSid, seg, opts) {
+            switch (plan.kind) {
+                case 'slot': return this.renderSlot(plan, scope, parentSid, seg, opts.slotContext);
+                case 'loop': return this.renderLoop(plan, scope, parentSid, seg, opts);
+                case 'when': return this.renderWhen(plan, scope, parentSid, seg, opts.whenContext, opts);
+                case 'url': return this.renderUrl(plan, scope, parentSid, seg, opts);
+                case 'routes': return this.renderRoutes(plan, scope, parentSid, seg, opts);
+                case 'route': return null; // Rendered by its <Routes> or its layout's <Outlet/>
+                case 'outlet': return this.renderOutlet(scope, parentSid, seg);
+                case 'watch': return this.renderWatch(plan, scope, parentSid, seg);
+                case 'boundary': return this.renderErrorBoundary(plan, scope, parentSid, seg, opts);
+                case 'fallback': return null; // Rendered by its <ErrorBoundary> only
             }
-
-            const singleExpr = structure.length === 1 && structure[0].type === 'expr';
-            const result = { structure, singleExpr };
-            this._parseCache.set(cacheKey, result);
-            return result;
+            // Check if this is a registered component (via ActDown's registry)
+            if (this.act._internal.comps.has(plan.tag)) return this.renderComponentUsage(plan, scope, parentSid, seg);
+            if (plan.kind === 'form') return this.renderForm(plan, scope, parentSid, seg, opts);
+            return this.renderElement(plan, scope, parentSid, seg, opts);
         }
 
-        // Parse and evaluate interpolated string
-        // Returns { parts: [{type: 'lit'|'expr'|'error', value: any}...], singleExpr: bool }
-        parseInterpolationParts(text, scope) {
-            if (text == null) return { parts: [], singleExpr: false };
-            const s = String(text);
-            if (s.indexOf('{') === -1) return { parts: [{ type: 'lit', value: s }], singleExpr: false };
-
-            const { structure, singleExpr } = this._parseStructure(text, scope);
-
-            // Evaluate expressions using cached structure
-            const parts = structure.map(item => {
+        // Evaluate split interpolation parts (see splitInterpolation)
+        // Returns [{type: 'lit'|'expr'|'error', value: any}...]
+        evaluateParts(parts, scope) {
+            return parts.map(item => {
                 if (item.type === 'lit') return item;
+                // Text naming a handle this scope lacks stays literal unless it compiles without it
+                if (item.handles.length) {
+                    const known = scopeHandles(scope.flatten().handles).set;
+                    const found = item.handles.filter(h => known.has(h));
+                    if (found.length < item.handles.length && !compilesWithHandles(item.expr, found)) {
+                        return { type: 'lit', value: item.raw };
+                    }
+                }
                 try {
-                    const v = this.evalPure(item.expr, scope);
-                    return { type: 'expr', value: v };
+                    return { type: 'expr', value: this.evalPure(item.expr, scope) };
                 } catch (e) {
-                    return { type: 'error', value: e };
+                    return { type: 'error', value: e, expr: item.expr };
                 }
             });
-
-            return { parts, singleExpr };
         }
 
-        // Interpolate and return string; throws if any part is an error
-        interpolateText(text, scope) {
-            const { parts } = this.parseInterpolationParts(text, scope);
-            return parts.map(p => {
+        // Interpolate and return string; errors render inline and go to onError (thrown in strict mode)
+        interpolateText(parts, scope, where = {}) {
+            return this.evaluateParts(parts, scope).map(p => {
                 if (p.type === 'error') {
-                    // Surface error in text but also throw it to global error handler
-                    setTimeout(() => { throw p.value; }, 0);
-                    return `[Error: ${p.value.message}]`;
+                    const info = { ...where, expression: p.expr, phase: 'pure' };
+                    if (this.strict) throw annotateError(p.value, info);
+                    this.reportError(p.value, info);
+                    return `[Error: ${p.value && p.value.message}]`;
                 }
                 return p.value == null ? '' : String(p.value);
             }).join('');
         }
 
         // Interpolate; if single expression, return raw value (preserves type); throws on error
-        interpolateValue(text, scope) {
-            const { parts, singleExpr } = this.parseInterpolationParts(text, scope);
-            for (const p of parts) {
+        interpolateValue(parts, scope) {
+            const values = this.evaluateParts(parts, scope);
+            for (const p of values) {
                 if (p.type === 'error') throw p.value;
             }
-            if (singleExpr) return parts[0].value;
-            return parts.map(p => p.value == null ? '' : String(p.value)).join('');
+            if (parts.length === 1 && parts[0].type === 'expr') return values[0].value;
+            return values.map(p => p.value == null ? '' : String(p.value)).join('');
         }
 
-        renderAttributes(node, scope) {
-            const BOOLEAN_ATTRS = new Set([
-                'disabled', 'checked', 'readonly', 'required', 'autofocus',
-                'autoplay', 'controls', 'loop', 'muted', 'default', 'defer',
-                'hidden', 'ismap', 'multiple', 'novalidate', 'open', 'reversed',
-                'selected', 'async', 'formnovalidate', 'nomodule', 'playsinline'
-            ]);
-
+        renderAttributes(plan, scope, sid) {
             const props = {};
-            for (const attr of node.attributes) {
-                const name = attr.name;
-                const val = attr.value;
-                if (name === 'def' || name === 'test' || name === 'each' || name === 'params' || name === 'init' || name === 'marker' || name === 'import' || name === 'clear-on-unmount' || name === 'bind') continue;
-                if (name.startsWith('on')) {
-                    const handler = val.trim();
-                    if (handler.startsWith('@{') && handler.endsWith('}')) {
-                        const expr = handler.slice(2, -1);
-                        props[name] = (ev) => {
-                            const s = scope.fork();
-                            s.setValue('$event', ev);
-                            return this.evalEffect(expr, s);
-                        };
-                    }
+            for (const p of plan.props) {
+                const name = p.name;
+                if (p.handler != null) {
+                    const expr = p.handler;
+                    const info = { sid, tag: plan.tagName, attribute: name, phase: 'effect', ...plan.src };
+                    props[name] = (ev) => {
+                        const s = scope.fork();
+                        s.setValue('$event', ev);
+                        let result;
+                        // What the handler changes synchronously is one undo step (only histories
+                        // of namespaces that changed are diffed)
+                        this.commitHistories();
+                        try {
+                            result = this.evalEffect(expr, s);
+                        } catch (e) {
+                            this.reportError(e, info);
+                            if (this.strict) throw e;
+                            return undefined;
+                        } finally {
+                            this.commitHistories();
+                        }
+                        return result && typeof result.then === 'function'
+                            ? this.trackAsync(result, scope.nearestLocal(), info)
+                            : result;
+                    };
                     continue;
                 }
-                const v = this.interpolateValue(val, scope);
+                const v = p.literal ? p.value
+                    : this.guard({ sid, tag: plan.tagName, attribute: name, phase: 'pure' }, () => this.interpolateValue(p.parts, scope));
 
                 // Boolean attributes: omit if false, "false", null, or undefined
-                if (BOOLEAN_ATTRS.has(name)) {
+                if (p.boolean) {
                     if (v === false || v === 'false' || v == null) continue;
                     props[name] = true;
                 } else {
@@ -919,10 +2038,33 @@
             return props;
         }
 
-        applyInit(node, scope, sid, localHandle) {
-            const initAttr = node.getAttribute('init');
+        // Track an async handler's progress for the owning local namespace, read there as
+        // $pending / $error. The status is kept here, not written into the (possibly bound) state.
+        // Rejections are reported here rather than escaping as unhandled rejections.
+        trackAsync(promise, owner, info) {
+            const key = owner && `${owner.root}|${owner.path.join('.')}`;
+            const status = this._asyncStatus.get(key) || { count: 0, error: null };
+            const update = (change) => {
+                Object.assign(status, change);
+                if (key && (status.count || status.error)) this._asyncStatus.set(key, status);
+                else this._asyncStatus.delete(key);
+                if (owner) this.namespaceChanged(namespaceId(owner.root));
+                this.act.scheduleRefresh();
+            };
+            update({ count: status.count + 1, error: null });
+            return promise.then(
+                (val) => { update({ count: status.count - 1 }); return val; },
+                (e) => {
+                    update({ count: status.count - 1, error: e });
+                    this.reportError(e, info);
+                }
+            );
+        }
+
+        applyInit(plan, scope, sid, localHandle) {
+            const initAttr = plan.init;
             if (!initAttr) return;
-            const expr = initAttr.replace(/^\{|\}$/g, '');
+            const expr = stripBraces(initAttr);
             if (!this._initRun) this._initRun = new Set();
             const key = `${sid}`;
             if (this._initRun.has(key)) return;
@@ -931,14 +2073,15 @@
             try {
                 obj = this.evalPure(expr, scope);
             } catch (e) {
+                const info = { sid, tag: plan.tagName, attribute: 'init', expression: expr, phase: 'init' };
                 // Check for common mistake: init="{key: val}" instead of init="{ {key: val} }"
                 if (expr.includes(':') && !expr.trim().startsWith('{')) {
-                    throw new Error(
+                    throw annotateError(new Error(
                         `Invalid init syntax: "${initAttr}". ` +
                         `Object literals need double braces: init="{ {key: value} }"`
-                    );
+                    ), info);
                 }
-                throw e;
+                throw annotateError(e, info);
             }
             this.ensureLocalNamespace(sid, obj || {});
             if (localHandle) {
@@ -947,40 +2090,42 @@
             }
         }
 
-        renderElement(node, scope, parentSid, seg, opts = {}) {
+        renderElement(plan, scope, parentSid, seg, opts = {}) {
             const sid = makeSid(parentSid, seg);
-            const defAttr = node.getAttribute('def');
-            const asLocalMatch = defAttr && defAttr.match(/@(\w+)\s+as\s+local/);
-            const localHandle = asLocalMatch ? new Handle(sid) : null;
+            const { local, history, defs } = plan.defs;
+            const localHandle = local ? new Handle(sid) : null;
             if (localHandle) {
                 this.ensureLocalNamespace(sid, {});
             }
             const sc = scope.fork();
-            if (localHandle && asLocalMatch) {
-                sc.setHandle(asLocalMatch[1], localHandle);
-            }
-            if (node.getAttribute('import')) sc.bindImports(node.getAttribute('import').split(',').map(s => s.trim()).filter(Boolean));
-            const cleanedDef = defAttr && asLocalMatch ? defAttr.replace(/@\w+\s+as\s+local,?\s*/, '').trim() : defAttr;
-            if (cleanedDef) addDefinitions(this, sc, cleanedDef);
-            const testAttr = node.getAttribute('test');
-            if (testAttr && !this.evalPure(testAttr.replace(/^\{|\}$/g, ''), sc)) return null;
-            this.applyInit(node, sc, sid, localHandle);
-            const props = this.renderAttributes(node, sc);
-            this.applyFormBinding(node, sc, props);
+            if (localHandle) {
+                sc.setHandle(local, localHandle);
+                sc.localHandle = localHandle;
+            }
+            if (plan.imports.length) sc.bindImports(plan.imports);
+            const at = (attribute) => ({ sid, tag: plan.tagName, attribute, phase: 'pure' });
+            if (defs.length) this.guard(at('def'), () => addDefinitions(this, sc, defs));
+            if (plan.test && !this.guard(at('test'), () => this.evalPure(plan.test, sc))) return null;
+            if (localHandle && plan.clearOnUnmount) this.onUnmount(sid, () => this.clearNamespace(sid));
+            this.applyInit(plan, sc, sid, localHandle);
+            if (localHandle && history) this.history(localHandle);
+            this.inspectNode(sid, plan.tagName, sc);
+            const props = this.renderAttributes(plan, sc, sid);
+            this.applyFormBinding(plan, sc, props);
             props.key = sid;
-            const children = this.renderChildren(node.childNodes, sc, sid, opts);
-            return this.act.v(node.tagName.toLowerCase(), props, ...children);
+            const children = this.renderChildren(plan.children, sc, sid, opts);
+            return this.act.v(plan.tagName.toLowerCase(), props, ...children);
         }
 
-        applyFormBinding(node, scope, props) {
-            const tag = node.tagName.toUpperCase();
+        applyFormBinding(plan, scope, props) {
+            const tag = plan.tag;
             const isFormElement = ['INPUT', 'TEXTAREA', 'SELECT'].includes(tag);
             const isCustomElement = tag.includes('-');
 
             if (!isFormElement && !isCustomElement) return;
 
-            const nameAttr = node.getAttribute('name');
-            const bindAttr = node.getAttribute('bind');
+            const nameAttr = plan.attrs.get('name');
+            const bindAttr = plan.attrs.get('bind');
             const formHandle = scope.get('Form');
 
             // For form elements: use bind attr or auto-bind via name + @Form
@@ -990,7 +2135,7 @@
                 : bindAttr;
             if (!expr) return;
 
-            const handle = parseHandleExpression(scope, expr.replace(/^\{|\}$/g, ''));
+            const handle = parseHandleExpression(scope, stripBraces(expr));
             const current = () => readHandle(this, handle);
             const type = (props.type || '').toLowerCase();
 
@@ -1010,7 +2155,7 @@
                 if (!props.onchange) {
                     props.onchange = (ev) => writeHandle(this, handle, ev.target.files);
                 }
-            } else if (tag === 'SELECT' && node.hasAttribute('multiple')) {
+            } else if (tag === 'SELECT' && plan.attrs.has('multiple')) {
                 // Multiple select: bind array of selected values
                 const getSelected = (sel) => Array.from(sel.selectedOptions).map(o => o.value);
                 // Don't set value prop for multiple select
@@ -1028,71 +2173,37 @@
             }
         }
 
-        renderWhen(node, scope, parentSid, seg, whenContext) {
+        renderWhen(plan, scope, parentSid, seg, whenContext, opts = {}) {
             const sid = makeSid(parentSid, seg);
             const sc = scope.fork();
-            addDefinitions(this, sc, node.getAttribute('def'));
-            const testAttr = node.getAttribute('test');
-            const ok = testAttr ? !!this.evalPure(testAttr.replace(/^\{|\}$/g, ''), sc) : true;
+            const at = (attribute) => ({ sid, tag: plan.tagName, attribute, phase: 'pure' });
+            this.guard(at('def'), () => addDefinitions(this, sc, plan.defs.defs));
+            const ok = plan.test ? !!this.guard(at('test'), () => this.evalPure(plan.test, sc)) : true;
             if (!whenContext) whenContext = {matched: false};
             if (whenContext.matched) return null;
-            if (node.tagName.toUpperCase() === 'WHEN' && ok) {
+            if (plan.tag === 'WHEN' && ok) {
                 whenContext.matched = true;
-                const children = Array.from(node.childNodes).map((n, i) => this.renderNode(n, sc, sid, `${i}`, {whenContext})).filter(Boolean);
+                const children = this.renderChildren(plan.children, sc, sid, { slotContext: opts.slotContext });
                 return this.act.v('div', {key: sid}, ...children);
             }
-            if (node.tagName.toUpperCase() === 'ELSE' && (ok || node.getAttribute('test') == null)) {
+            if (plan.tag === 'ELSE' && (ok || plan.test == null)) {
                 whenContext.matched = true;
-                const children = Array.from(node.childNodes).map((n, i) => this.renderNode(n, sc, sid, `${i}`, {whenContext})).filter(Boolean);
+                const children = this.renderChildren(plan.children, sc, sid, { slotContext: opts.slotContext });
                 return this.act.v('div', {key: sid}, ...children);
             }
             return null;
         }
 
-        // Parse Loop each attribute using "first-compiles" rule for balanced braces
-        // Format: "$var as role, ... of {expression} marked by {marker}" or "marked by index/field"
-        parseEach(attr, scope) {
-            // Find " of " (with flexible whitespace) to split bindings from expression
-            const ofMatch = attr.match(/\s+of\s+\{/);
-            if (!ofMatch) throw new Error('Invalid each syntax: missing "of {expression}"');
-            const ofIdx = ofMatch.index;
-
-            const bindings = attr.slice(0, ofIdx).split(',').map(s => s.trim()).filter(Boolean);
-
-            // Find the opening brace position
-            const braceStart = ofIdx + ofMatch[0].length - 1; // position of the '{'
-
-            // Try each '}' to find the one that produces valid JS (same algorithm as parseInterpolationParts)
-            let exprEnd = -1;
-            let expr = '';
-            for (let i = braceStart + 1; i < attr.length; i++) {
-                if (attr[i] !== '}') continue;
-                const candidate = attr.slice(braceStart + 1, i).trim();
-                if (this._canCompile(candidate, scope)) {
-                    expr = candidate;
-                    exprEnd = i;
-                    break;
-                }
-            }
-            if (exprEnd === -1) throw new Error('Invalid each syntax: no valid expression found in braces');
-
-            // Rest should be " marked by ..."
-            const rest = attr.slice(exprEnd + 1).trim();
-            const markerMatch = rest.match(/^marked by (.+)$/);
-            if (!markerMatch) throw new Error('Invalid each syntax: missing "marked by"');
-
-            const marker = markerMatch[1].trim();
-            return { bindings, expr, marker };
-        }
-
-        renderLoop(node, scope, parentSid, seg) {
+        renderLoop(plan, scope, parentSid, seg, opts = {}) {
             const sid = makeSid(parentSid, `LOOP${seg}`);
             const sc = scope.fork();
-            addDefinitions(this, sc, node.getAttribute('def'));
-            const each = node.getAttribute('each');
-            if (!each) throw new Error('Loop missing each');
-            const {bindings, expr, marker} = this.parseEach(each, sc);
-            let collection = this.evalPure(expr, sc) || [];
+            // Syntax errors have no inner expression; point at the whole attribute
+            const at = (attribute, phase) => ({ sid, tag: plan.tagName, attribute, phase, expression: plan.attrs.get(attribute) });
+            this.guard(at('def', 'pure'), () => addDefinitions(this, sc, plan.defs.defs));
+            if (!plan.each) throw annotateError(new Error('Loop missing each'), at('each', 'loop'));
+            if (plan.each.error) throw annotateError(new Error(plan.each.error), at('each', 'loop'));
+            const { bindings, expr, marker, markerExpr } = plan.each;
+            let collection = this.guard(at('each', 'loop'), () => this.evalPure(expr, sc)) || [];
             // Unwrap proxy if needed (proxies have valueOf that returns the underlying value)
             if (collection && typeof collection.valueOf === 'function' && collection.__isHandleProxy) {
                 collection = collection.valueOf();
@@ -1105,8 +2216,7 @@
             const lastIndex = items.length - 1;
             for (const [k, v] of items) {
                 const iterScope = sc.fork();
-                bindings.forEach(b => {
-                    const [varName, role] = b.split(' as ').map(s => s.trim());
+                bindings.forEach(([varName, role]) => {
                     // Keep $prefix for variable names so expressions can reference $user, $i, etc.
                     switch (role) {
                         case 'index': iterScope.setValue(varName, index); break;
@@ -1117,59 +2227,62 @@
                         default: iterScope.setValue(varName, v);
                     }
                 });
-                const markVal = marker === 'index' ? index : marker === 'field' ? k : this.evalPure(marker.replace(/^\{|\}$/g, ''), iterScope);
+                const markVal = marker === 'index' ? index : marker === 'field' ? k
+                    : this.guard(at('each', 'loop'), () => this.evalPure(markerExpr, iterScope));
                 // Check for duplicate markers using stable stringify for consistent comparison
                 const markKey = stableStringify(markVal);
                 if (seenMarkers.has(markKey)) {
-                    throw new Error(`Duplicate loop marker: ${markKey}`);
+                    throw annotateError(new Error(`Duplicate loop marker: ${markKey}`), at('each', 'loop'));
                 }
                 seenMarkers.add(markKey);
                 const childSid = makeSid(sid, seg, markVal);
-                const kids = Array.from(node.childNodes).map((n, i) => this.renderNode(n, iterScope, childSid, `${i}`)).filter(Boolean);
+                const kids = plan.children.map((n, i) => this.renderNode(n, iterScope, childSid, `${i}`, { slotContext: opts.slotContext })).filter(Boolean);
                 rendered.push(...kids);
                 index++;
             }
             if (rendered.length === 0) {
-                const next = node.nextElementSibling;
-                if (next && next.tagName.toUpperCase() === 'ELSE') {
-                    return this.renderWhen(next, scope, parentSid, `${seg}-else`, {matched: false});
+                const next = plan.nextElement;
+                if (next && next.tag === 'ELSE') {
+                    return this.renderWhen(next, scope, parentSid, `${seg}-else`, {matched: false}, opts);
                 }
             }
             // Return array (fragment) so Loop doesn't add a wrapper element that breaks CSS layouts
             return rendered;
         }
 
-        renderComponentUsage(node, scope, parentSid, seg) {
-            const tag = node.tagName;
-            const name = tag.toUpperCase();
+        renderComponentUsage(plan, scope, parentSid, seg) {
+            const tag = plan.tagName;
+            const name = plan.tag;
             const template = this.templates.get(name);
-            if (!template) return this.renderElement(node, scope, parentSid, seg);
+            if (!template) return this.renderElement(plan, scope, parentSid, seg);
 
             const sid = makeSid(parentSid, `${name}${seg}`);
+            if (plan.clearOnUnmount) this.onUnmount(sid, () => this.clearNamespace(sid));
 
             // Evaluate params in the usage-site scope
             // Params starting with @ are handle params, otherwise value params
             // The $ prefix on value params is part of the variable name (convention, not sigil)
             const $params = {};
             const $handles = {};
+            const at = (attribute) => ({ sid, tag, attribute, phase: 'pure' });
             (template.params || []).forEach(p => {
                 const paramName = p.trim();
                 if (paramName.startsWith('@')) {
                     // Handle param: @foo means bind a handle
                     const handleName = paramName.slice(1); // Remove @
-                    const attrVal = node.getAttribute(handleName);
+                    const attrVal = plan.attrs.get(handleName.toLowerCase());
                     const expr = attrVal ? attrVal.replace(/^\{|\}$/g, '') : `@${handleName}`;
-                    $handles[handleName] = parseHandleExpression(scope, expr);
+                    $handles[handleName] = this.guard(at(handleName), () => parseHandleExpression(scope, expr));
                 } else {
                     // Value param: $foo or foo - attribute name is without $
                     const attrName = paramName.startsWith('$') ? paramName.slice(1) : paramName;
-                    const attrVal = node.getAttribute(attrName);
+                    const attrVal = plan.attrs.get(attrName.toLowerCase());
                     if (attrVal == null) {
                         $params[paramName] = undefined;
                     } else if (attrVal.startsWith('{') && attrVal.endsWith('}')) {
                         // Expression: evaluate it
                         const expr = attrVal.slice(1, -1);
-                        $params[paramName] = this.evalPure(expr, scope);
+                        $params[paramName] = this.guard(at(attrName), () => this.evalPure(expr, scope));
                     } else {
                         // Literal string value
                         $params[paramName] = attrVal;
@@ -1177,35 +2290,26 @@
                 }
             });
 
-            // Determine slot names from template
-            const slotNames = new Set();
-            const templateChildren = template.templateChildren || [];
-            const walkForSlots = (nodes) => {
-                nodes.forEach(n => {
-                    if (n.nodeType === Node.ELEMENT_NODE) {
-                        const t = n.tagName?.toUpperCase();
-                        if (t && t.endsWith(':SLOT')) {
-                            const slotName = t.split(':')[0];
-                            slotNames.add(slotName === name ? 'DEFAULT' : slotName);
-                        }
-                        walkForSlots(Array.from(n.childNodes));
-                    }
-                });
-            };
-            walkForSlots(templateChildren);
+            const slotNames = template.slotNames;
 
             // Render usage-site children in usage-site scope, separating into slots
+            // Named slot content is rendered lazily by each <name:Slot> instance, which supplies its params
             const $slots = {};
             const defaultSlotContent = [];
-            Array.from(node.childNodes).forEach((ch, i) => {
-                if (ch.nodeType === Node.ELEMENT_NODE) {
-                    const chName = ch.tagName.toUpperCase();
+            plan.children.forEach((ch, i) => {
+                if (ch.type === 'element') {
+                    const chName = ch.tag;
                     if (slotNames.has(chName) && chName !== 'DEFAULT') {
-                        // Named slot - render its children
-                        const rendered = Array.from(ch.childNodes)
-                            .map((n, j) => this.renderNode(n, scope, sid, `slot-${chName}-${j}`))
-                            .filter(Boolean);
-                        $slots[chName] = ($slots[chName] || []).concat(rendered);
+                        const slotParams = (ch.attrs.get('params') || '').split(',').map(s => s.trim()).filter(Boolean);
+                        const renderSlotContent = (args, slotSid) => {
+                            const sc = scope.fork();
+                            // Param $foo receives slot attribute foo (attribute names are lowercased by the parser)
+                            slotParams.forEach(p => sc.setValue(p, args[p.replace(/^\$/, '').toLowerCase()]));
+                            return ch.children
+                                .map((n, j) => this.renderNode(n, sc, slotSid, `slot-${chName}${i}-${j}`))
+                                .filter(Boolean);
+                        };
+                        $slots[chName] = ($slots[chName] || []).concat([renderSlotContent]);
                         return;
                     }
                 }
@@ -1215,10 +2319,10 @@
             });
 
             // Get usage-site init (overrides template init)
-            const usageInit = node.getAttribute('init');
+            const usageInit = plan.init;
 
             // Collect passthrough attributes (not special attrs, not declared params)
-            const specialAttrs = new Set(['init', 'def', 'import']);
+            const specialAttrs = new Set(['init', 'def', 'import', 'clear-on-unmount']);
             const paramAttrNames = new Set((template.params || []).map(p => {
                 const paramName = p.trim();
                 if (paramName.startsWith('@')) return paramName.slice(1);
@@ -1226,9 +2330,9 @@
                 return paramName;
             }));
             const $passthrough = {};
-            for (const attr of node.attributes) {
+            for (const attr of plan.attrList) {
                 if (!specialAttrs.has(attr.name) && !paramAttrNames.has(attr.name)) {
-                    $passthrough[attr.name] = this.interpolateValue(attr.value, scope);
+                    $passthrough[attr.name] = this.guard(at(attr.name), () => this.interpolateValue(attr.parts, scope));
                 }
             }
 
@@ -1255,14 +2359,16 @@
 
             // Extract internal $-prefixed props, rest are passthrough attrs
             const { $sid: sid, $params, $handles, $slots, $usageInit, key, ...passthrough } = props;
-            const { templateChildren, params, templateInit } = template;
+            const { templateChildren, params, templateInit, src } = template;
 
             // Create component scope
             const sc = new Scope();
             const localHandle = new Handle(sid);
             sc.setHandle(name, localHandle);
+            sc.localHandle = localHandle;
             sc.setHandle('Global', new Handle('global'));
             sc.setHandle('Url', new Handle('url'));
+            sc.setHandle('Route', new Handle('route'));
 
             // Bind params (names already include $ prefix if applicable)
             for (const [k, v] of Object.entries($params || {})) {
@@ -1288,7 +2394,8 @@
                 this._initRun.add(sid);
                 if (initAttr) {
                     const expr = initAttr.replace(/^\{|\}$/g, '');
-                    const obj = this.evalPure(expr, sc);
+                    const info = { sid, tag: name, attribute: 'init', phase: 'init', ...src };
+                    const obj = this.guard(info, () => this.evalPure(expr, sc));
                     this.ensureLocalNamespace(sid, obj || {});
                 } else {
                     this.ensureLocalNamespace(sid, {});
@@ -1298,6 +2405,8 @@
                 this.ensureLocalNamespace(sid, {});
             }
 
+            this.inspectNode(sid, name, sc);
+
             // Build slot context for template rendering
             const slotContext = {
                 slots: new Map(Object.entries($slots || {})),
@@ -1318,47 +2427,115 @@
             return body;
         }
 
-        renderSlot(node, scope, parentSid, seg, slotContext = {}) {
+        renderSlot(plan, scope, parentSid, seg, slotContext = {}) {
             const sid = makeSid(parentSid, `SLOT${seg}`);
-            const tag = node.tagName.toUpperCase();
+            const tag = plan.tag;
             const slotName = tag.split(':')[0];
             const key = slotName === slotContext.templateName ? 'DEFAULT' : slotName;
 
-            // Slots now contain pre-rendered vdom (rendered at usage site in usage scope)
-            const provided = slotContext.slots?.get(key) || (key === 'DEFAULT' ? slotContext.defaultSlot : null);
+            // Named slots hold render functions, called with this slot's evaluated attributes as params;
+            // the default slot holds vdom pre-rendered at the usage site
+            let provided;
+            if (key === 'DEFAULT') {
+                provided = slotContext.slots?.get(key) || slotContext.defaultSlot;
+            } else {
+                const renderers = slotContext.slots?.get(key) || [];
+                const args = {};
+                if (renderers.length) {
+                    for (const attr of plan.attrList) {
+                        const info = { sid, tag: plan.tagName, attribute: attr.name, phase: 'pure' };
+                        args[attr.name.toLowerCase()] = this.guard(info, () => this.interpolateValue(attr.parts, scope));
+                    }
+                }
+                provided = renderers.flatMap(render => render(args, sid));
+            }
             const useFallback = !provided || provided.length === 0;
 
             if (useFallback) {
                 // Render fallback content from template (in template scope)
-                const fallbackNodes = Array.from(node.childNodes);
-                const children = fallbackNodes
+                const children = plan.children
                     .map((n, i) => this.renderNode(n, scope, sid, `${i}`, { slotContext }))
                     .filter(Boolean);
                 return this.act.v('div', { key: sid }, ...children);
             }
 
-            // Use pre-rendered slot content (already vdom)
             return this.act.v('div', { key: sid }, ...provided);
         }
 
-        renderForm(node, scope, parentSid, seg) {
+        // <ErrorBoundary onerror="@{...}"> ... <Fallback>{$error.message}</Fallback></ErrorBoundary>
+        // Catches errors thrown while rendering its subtree. Components are expanded eagerly here
+        // so their errors surface inside the boundary. Once caught, the fallback (with $error and
+        // $retry in scope) is shown until $retry() is called.
+        renderErrorBoundary(plan, scope, parentSid, seg, opts = {}) {
+            const sid = makeSid(parentSid, `BOUNDARY${seg}`);
+            let error = this._boundaryErrors.get(sid);
+            if (!error) {
+                const outer = this._boundary;
+                const boundary = this._boundary = { error: null };
+                try {
+                    const children = this.renderChildren(plan.children, scope, sid, { slotContext: opts.slotContext });
+                    const expanded = this.act._internal.prune(children);
+                    if (!boundary.error) return this.act.v('div', { key: sid }, ...expanded);
+                    error = boundary.error;
+                } catch (e) {
+                    error = e;
+                } finally {
+                    this._boundary = outer;
+                }
+                this._boundaryErrors.set(sid, error);
+                this.reportError(error);
+                const onerror = (plan.attrs.get('onerror') || '').trim();
+                if (onerror.startsWith('@{') && onerror.endsWith('}')) {
+                    const s = scope.fork();
+                    s.setValue('$error', error);
+                    // After the pass: effects must not mutate state mid-render
+                    queueMicrotask(() => {
+                        try {
+                            this.evalEffect(onerror.slice(2, -1), s);
+                        } catch (e) {
+                            this.reportError(e, { sid, tag: plan.tagName, attribute: 'onerror', phase: 'effect', ...plan.src });
+                        }
+                    });
+                }
+            }
+            this.onUnmount(sid, () => this._boundaryErrors.delete(sid));
+
+            const sc = scope.fork();
+            sc.setValue('$error', error);
+            sc.setValue('$retry', () => {
+                this._boundaryErrors.delete(sid);
+                this.refresh(rootOfSid(sid));
+            });
+            const fallback = plan.children.find(n => n.kind === 'fallback');
+            if (!fallback) {
+                const at = error.tagmark && error.tagmark.srcId;
+                return this.act.v('div', { key: sid, class: 'tagmark-error' }, `Error: ${error.message}${at ? ` (at ${at})` : ''}`);
+            }
+            const children = this.renderChildren(fallback.children, sc, makeSid(sid, 'FALLBACK'), { slotContext: opts.slotContext });
+            return this.act.v('div', { key: sid }, ...children);
+        }
+
+        renderForm(plan, scope, parentSid, seg, opts = {}) {
             const sid = makeSid(parentSid, `FORM${seg}`);
             const sc = scope.fork();
-            const bindAttr = node.getAttribute('bind');
+            const bindAttr = plan.attrs.get('bind');
             const formHandle = bindAttr
-                ? parseHandleExpression(scope, bindAttr.replace(/^\{|\}$/g, ''))
+                ? parseHandleExpression(scope, stripBraces(bindAttr))
                 : new Handle(sid);
 
             if (!bindAttr) {
                 // Local form state - use applyInit which handles init-once tracking
-                this.applyInit(node, sc, sid, formHandle);
+                this.applyInit(plan, sc, sid, formHandle);
                 // Ensure namespace exists even without init
                 this.ensureLocalNamespace(sid, {});
+                if (plan.clearOnUnmount) this.onUnmount(sid, () => this.clearNamespace(sid));
             }
 
             sc.setHandle('Form', formHandle);
-            addDefinitions(this, sc, node.getAttribute('def'));
-            const props = this.renderAttributes(node, sc);
+            sc.localHandle = formHandle;
+            this.guard({ sid, tag: plan.tagName, attribute: 'def', phase: 'pure' }, () => addDefinitions(this, sc, plan.defs.defs));
+            this.inspectNode(sid, plan.tagName, sc);
+            const props = this.renderAttributes(plan, sc, sid);
             props.key = sid;
             // Wrap onsubmit to prevent default form submission (page reload)
             const userOnSubmit = props.onSubmit || props.onsubmit;
@@ -1371,93 +2548,678 @@
                 props.onSubmit = (ev) => ev.preventDefault();
             }
             delete props.onsubmit;
-            const children = Array.from(node.childNodes).map((n, i) => this.renderNode(n, sc, sid, `${i}`)).filter(Boolean);
+            const children = plan.children.map((n, i) => this.renderNode(n, sc, sid, `${i}`, { slotContext: opts.slotContext })).filter(Boolean);
             return this.act.v('form', props, ...children);
         }
 
-        renderUrl(node, scope, parentSid, seg) {
+        renderUrl(plan, scope, parentSid, seg, opts = {}) {
             const sid = makeSid(parentSid, `URL${seg}`);
-            const include = (node.getAttribute('include') || '').split(',').map(s => s.trim()).filter(Boolean);
-            const includeTransient = (node.getAttribute('includeTransient') || '').split(',').map(s => s.trim()).filter(Boolean);
-            const children = Array.from(node.childNodes).map((n, i) => this.renderNode(n, scope, sid, `${i}`)).filter(Boolean);
-            // Data attributes go on the rendered div so syncStateToUrl can find them
-            return this.act.v('div', {
-                key: sid,
-                'data-url-include': JSON.stringify(include),
-                'data-url-includeTransient': JSON.stringify(includeTransient)
-            }, ...children);
+            const keys = {
+                include: parseUrlKeys(plan.attrs.get('include')),
+                transient: parseUrlKeys(plan.attrs.get('includetransient')),
+            };
+            // URL sync reads the keys of mounted <Url> tags from this registry
+            if (!this._url.keys.has(sid)) queueMicrotask(() => this.adoptUrlKeys([...keys.include, ...keys.transient]));
+            this._url.keys.set(sid, keys);
+            this.onUnmount(sid, () => {
+                this._url.keys.delete(sid);
+                this.syncStateToUrl({ replace: true });
+            });
+            const children = plan.children.map((n, i) => this.renderNode(n, scope, sid, `${i}`, { slotContext: opts.slotContext })).filter(Boolean);
+            return this.act.v('div', { key: sid }, ...children);
+        }
+
+        // A newly mounted <Url> converts the @Url values of its typed keys, and fills defaults
+        adoptUrlKeys(specs) {
+            const urlState = this.namespaces.url;
+            for (const { key, type, defText } of specs) {
+                if (!type && defText === undefined) continue;
+                let value = key in urlState ? decodeUrlValue(type, urlState[key]) : undefined;
+                if (value === undefined && defText !== undefined) value = decodeUrlValue(type, defText);
+                if (value === undefined) delete urlState[key];
+                else if (value !== urlState[key]) urlState[key] = value;
+            }
+        }
+
+        // <Routes> renders the first child <Route> whose path matches @Route.path
+        renderRoutes(plan, scope, parentSid, seg, opts = {}) {
+            const sid = makeSid(parentSid, `ROUTES${seg}`);
+            this._url.routeTables.set(sid, plan.routes);
+            this.onUnmount(sid, () => this._url.routeTables.delete(sid));
+            const path = readHandle(this, new Handle('route', ['path'])) || '/';
+            const chain = matchRoutes(plan.routes, splitPath(path));
+            return chain ? this.renderRouteChain(chain, plan, scope, sid, {}, opts) : null;
+        }
+
+        // Render the outermost matched route with $params in scope; the rest of the chain
+        // renders at its <Outlet/>
+        renderRouteChain(chain, parent, scope, parentSid, params, opts = {}) {
+            const [{ route, params: own }, ...inner] = chain;
+            const sid = makeSid(parentSid, `ROUTE${parent.children.indexOf(route)}`);
+            const allParams = { ...params, ...own };
+            const sc = scope.fork();
+            sc.setValue('$params', allParams);
+            sc.outlet = (outletSid) => inner.length ? this.renderRouteChain(inner, route, sc, outletSid, allParams, opts) : null;
+            const children = this.renderChildren(route.children, sc, sid, { slotContext: opts.slotContext });
+            return this.act.v('div', { key: sid }, ...children);
+        }
+
+        renderOutlet(scope, parentSid, seg) {
+            const outlet = scope.nearestOutlet();
+            return outlet ? outlet(makeSid(parentSid, `OUTLET${seg}`)) : null;
+        }
+
+        // Go to a route path, adding a history entry
+        navigate(path) {
+            this.ensureActDown();
+            const target = '/' + splitPath(path).join('/');
+            const url = this.buildUrl(target);
+            if (this.currentUrl() !== url) window.history.pushState(null, '', url);
+            this.namespaces.route.path = target;
+        }
+
+        // Same-origin path links navigate in place when they are inside a root with <Routes> and
+        // either match one of its routes or are marked data-route. Other links (/logout, files)
+        // load as usual. In query mode only links under url-base are routes.
+        interceptLink(ev) {
+            if (!this._url.routeTables.size || ev.defaultPrevented || ev.button !== 0) return;
+            if (ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+            const a = ev.target && ev.target.closest && ev.target.closest('a[href]');
+            if (!a || a.hasAttribute('download')) return;
+            if (a.target && a.target !== '_self') return;
+            let href = a.getAttribute('href');
+            if (!href.startsWith('/') || href.startsWith('//')) return;
+            if (this.urlMode === 'query') {
+                href = this.routeOf(href);
+                if (href == null) return;
+            }
+            let rootSid = null;
+            for (let el = a; el && rootSid == null; el = el.parentElement) {
+                rootSid = this._rootElements.get(el)?.sid ?? null;
+            }
+            const tables = [...this._url.routeTables].filter(([sid]) => rootOfSid(sid) === rootSid);
+            if (!tables.length) return;
+            const segs = splitPath(href);
+            if (!a.hasAttribute('data-route') && !tables.some(([, routes]) => matchRoutes(routes, segs))) return;
+            ev.preventDefault();
+            this.navigate(href);
         }
 
         setupUrlSync() {
-            const parseHash = () => {
-                const hash = window.location.hash.slice(1);
-                if (!hash) return {};
+            if (this._url.started) return;
+            this._url.started = true;
+            const syncFromUrl = () => {
+                const { path, state } = this.readUrl();
+                const urlState = this.namespaces.url;
+                // Applying the browser URL is not a change to write back (or to push as history)
+                this._url.reading = true;
                 try {
-                    const parts = hash.split('#').filter(Boolean);
-                    const combined = {};
-                    for (const part of parts) {
-                        if (!part) continue;
-                        if (part.startsWith('{') || part.startsWith('%7B')) {
-                            Object.assign(combined, JSON.parse(decodeURIComponent(part)));
-                        } else {
-                            const params = new URLSearchParams(part);
-                            for (const [k, v] of params.entries()) {
-                                combined[k] = v;
-                            }
-                        }
+                    Object.assign(urlState, state);
+                    // Synced keys missing from the URL were removed by back/forward
+                    const { include, transient } = this.includedUrlKeys();
+                    for (const k of [...include, ...transient]) {
+                        if (!(k in state) && k in urlState) delete urlState[k];
                     }
-                    return combined;
-                } catch (e) {
-                    console.warn('URL parse failed', e);
-                    return {};
+                    if (this.namespaces.route.path !== path) this.namespaces.route.path = path;
+                } finally {
+                    this._url.reading = false;
                 }
             };
-            const syncFromUrl = () => {
-                const state = parseHash();
-                Object.assign(this.namespaces.url, state);
-            };
-            window.addEventListener('hashchange', syncFromUrl);
+            if (this.urlMode !== 'query') window.addEventListener('hashchange', syncFromUrl);
+            window.addEventListener('popstate', syncFromUrl);
+            document.addEventListener('click', (ev) => this.interceptLink(ev));
             syncFromUrl();
-            // Subscribe to URL namespace changes to sync back to browser hash
+            // Subscribe to URL and route namespace changes to sync back to the browser URL
             this.act.subscribe(() => this.syncStateToUrl(), 'url');
+            this.act.subscribe(() => this.syncStateToUrl(), 'route');
+        }
+
+        // Changes to the route path or persistent (include) keys push a history entry; changes
+        // within historyDebounce ms of the last one fold into it. Transient keys only replace.
+        syncStateToUrl({ replace = false } = {}) {
+            if (this._url.reading) return;
+            const path = this.namespaces.route.path;
+            const url = this.buildUrl(path);
+            if (this.currentUrl() === url) return;
+            const keys = this.includedUrlKeys();
+            const current = this.readUrl();
+            const before = this.persistentKey(current.path, pickUrlKeys(keys, current.state).persistent);
+            const after = this.persistentKey(path, pickUrlKeys(keys, this.namespaces.url).persistent);
+            const now = Date.now();
+            if (!replace && before !== after && now - this._url.lastPersistentChange >= this.historyDebounce) {
+                window.history.pushState(null, '', url);
+            } else {
+                window.history.replaceState(null, '', url);
+            }
+            if (before !== after) this._url.lastPersistentChange = now;
+        }
+
+        // Comparable form of the route path and persistent keys, as they would be serialized
+        persistentKey(path, persistent) {
+            return `${path}|${this.urlMode === 'query' ? formatQuery(persistent, {}) : serializeFragment(persistent)}`;
+        }
+
+        // Keys that rendered <Url> tags sync: {include, transient} key sets, and types mapping
+        // typed or defaulted keys to their {type, defText}
+        includedUrlKeys() {
+            const include = new Set();
+            const transient = new Set();
+            const types = new Map();
+            for (const keys of this._url.keys.values()) {
+                for (const [specs, set] of [[keys.include, include], [keys.transient, transient]]) {
+                    for (const spec of specs) {
+                        set.add(spec.key);
+                        if (spec.type || spec.defText !== undefined) types.set(spec.key, spec);
+                    }
+                }
+            }
+            return { include, transient, types };
+        }
+
+        // Route path and @Url state held in the browser URL
+        readUrl() {
+            try {
+                const { types } = this.includedUrlKeys();
+                if (this.urlMode === 'query') {
+                    const { pathname, search } = window.location;
+                    return { path: this.routeOf(pathname) ?? pathname, state: decodeUrlState(types, parseQuery(search)) };
+                }
+                const { path, state } = parseHash(window.location.hash);
+                return { path, state: decodeUrlState(types, state) };
+            } catch (e) {
+                console.warn('URL parse failed', e);
+                return { path: '/', state: {} };
+            }
+        }
+
+        // Route path for a pathname under url-base (query mode), else null
+        routeOf(pathname) {
+            const base = this.urlBase;
+            if (pathname !== base && !pathname.startsWith(`${base}/`)) return null;
+            return pathname.slice(base.length) || '/';
+        }
+
+        // The part of the browser URL this mode owns
+        currentUrl() {
+            const { pathname, search, hash } = window.location;
+            return this.urlMode === 'query' ? pathname + search + hash : hash;
+        }
+
+        // URL for a route path plus the @Url keys that rendered <Url> tags include
+        buildUrl(path) {
+            const { persistent, transient } = pickUrlKeys(this.includedUrlKeys(), this.namespaces.url);
+            if (this.urlMode === 'query') {
+                const query = formatQuery(persistent, transient);
+                // The hash stays free for in-page anchors
+                return `${this.urlBase}${path || '/'}${query ? `?${query}` : ''}${window.location.hash}`;
+            }
+            return formatHash(path, persistent, transient);
+        }
+
+        // ---- Storage ----
+        // Persisted state is a local namespace (def="@X as stored('name')") or a subtree of
+        // @Global (<tag-mark-global persist>). Storage holds {v: version, data} under
+        // "tagmark:<name>"; writes wait for storageDebounce ms of quiet.
+
+        // Set the version of a stored name, and how to upgrade older data:
+        // migrate(data, fromVersion) returns the data in the current shape. Call before bootstrap.
+        defineStorage(name, { version = 1, migrate = null } = {}) {
+            this._storage.options.set(name, { version, migrate });
+        }
+
+        // Root of the local namespace persisted under name, loaded on first use
+        storedNamespace(name, area = 'local') {
+            const root = `stored:${name}`;
+            if (!this._storage.entries.has(name)) {
+                const proxy = this.ensureLocalNamespace(root);
+                this.persistState(name, area, root, () => proxy, (data) => replaceContents(proxy, data));
+            }
+            const entry = this._storage.entries.get(name);
+            if (entry.root !== root || entry.area !== area) {
+                throw new Error(`Storage name "${name}" is already persisted in ${entry.area} storage as ${entry.root === 'global' ? `@Global.${name}` : 'another namespace'}`);
+            }
+            return root;
+        }
+
+        // Keep get() (a value in the namespace of root) in sync with the storage area
+        persistState(name, area, root, get, set) {
+            if (!STORAGE_AREAS[area]) {
+                throw new Error(`Unknown storage area "${area}" for "${name}" (expected ${Object.keys(STORAGE_AREAS).join(', ')})`);
+            }
+            if (!this._storage.entries.size) {
+                window.addEventListener('storage', (ev) => this.onStorageEvent(ev));
+                window.addEventListener('pagehide', () => this.flushStorage());
+            }
+            const entry = { name, area, root, get, set, timer: null, text: null, failed: false };
+            this._storage.entries.set(name, entry);
+            // An area that cannot be used is reported once; the state then lives in memory only
+            const fail = (e) => {
+                entry.failed = true;
+                this.reportError(e, { phase: 'storage', expression: name });
+            };
+            if (area === 'indexeddb') {
+                // Arrives after the first render; changes made before that win
+                idbRequest('readonly', store => store.get(STORAGE_PREFIX + name)).then((text) => {
+                    if (text != null && entry.text == null && !entry.timer) this.loadStored(entry, text);
+                }, fail);
+            } else {
+                const storage = storageArea(area);
+                if (!storage) fail(new Error(`${area} storage is not available, so "${name}" is not persisted`));
+                const text = storage?.getItem(STORAGE_PREFIX + name);
+                if (text != null) this.loadStored(entry, text);
+            }
+            this.act.subscribe(() => this.scheduleStore(entry), namespaceId(root));
+        }
+
+        // Apply stored text to the state, migrating older versions. Data of a version that
+        // cannot be migrated is reported and left alone: the entry stops writing so it is not
+        // overwritten. Null text (removed elsewhere) clears the state.
+        loadStored(entry, text) {
+            entry.text = text;
+            if (text == null) {
+                entry.set(undefined);
+                return;
+            }
+            try {
+                const { version, migrate } = this._storage.options.get(entry.name) || { version: 1 };
+                let { v, data } = JSON.parse(text);
+                if (v !== version) {
+                    if (!(v < version && migrate)) {
+                        entry.failed = true;
+                        const why = v > version ? `is newer than ${version}` : `needs a migrate to reach ${version}`;
+                        throw new Error(`Stored "${entry.name}" is version ${v}, which ${why}; it is not loaded and not overwritten`);
+                    }
+                    data = migrate(data, v);
+                }
+                entry.set(data);
+            } catch (e) {
+                this.reportError(e, { phase: 'storage', expression: entry.name });
+            }
+        }
+
+        scheduleStore(entry) {
+            clearTimeout(entry.timer);
+            entry.timer = setTimeout(() => this.writeStored(entry), this.storageDebounce);
+        }
+
+        writeStored(entry) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            if (entry.failed) return;
+            const data = unwrapProxy(entry.get());
+            const { version } = this._storage.options.get(entry.name) || { version: 1 };
+            const text = data === undefined ? null : JSON.stringify({ v: version, data });
+            // Unchanged, or just loaded from another tab
+            if (text === entry.text) return;
+            entry.text = text;
+            const key = STORAGE_PREFIX + entry.name;
+            if (entry.area === 'indexeddb') {
+                idbRequest('readwrite', store => text == null ? store.delete(key) : store.put(text, key))
+                    .catch(e => this.reportError(e, { phase: 'storage', expression: entry.name }));
+                return;
+            }
+            try {
+                const storage = storageArea(entry.area);
+                if (text == null) storage.removeItem(STORAGE_PREFIX + entry.name);
+                else storage.setItem(STORAGE_PREFIX + entry.name, text);
+            } catch (e) {
+                this.reportError(e, { phase: 'storage', expression: entry.name });
+            }
+        }
+
+        // Write pending changes now (also done when the page is hidden)
+        flushStorage() {
+            for (const entry of this._storage.entries.values()) {
+                if (entry.timer) this.writeStored(entry);
+            }
+        }
+
+        // Another tab wrote one of our names
+        onStorageEvent(ev) {
+            if (!ev.key || !ev.key.startsWith(STORAGE_PREFIX)) return;
+            const entry = this._storage.entries.get(ev.key.slice(STORAGE_PREFIX.length));
+            if (!entry || ev.storageArea !== storageArea(entry.area)) return;
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            this.loadStored(entry, ev.newValue);
+        }
+
+        // ---- Cross-tab sync ----
+        // After each @Global change, synced paths are diffed against their last snapshot and the
+        // changed paths are posted with a Lamport time. A tab applies a change unless it has
+        // seen a later write to that path (ties go to the higher tab id): last writer wins.
+        // Diffing is needed because DeepProxy notifies a namespace without saying which path
+        // changed. Applying remote changes does not trigger a diff.
+
+        setupSync(paths) {
+            if (!paths.length) return;
+            if (typeof BroadcastChannel === 'undefined') {
+                console.warn('TagMark sync: BroadcastChannel is not available; state stays in this tab');
+                return;
+            }
+            const sync = this._storage.sync = {
+                channel: new BroadcastChannel(SYNC_CHANNEL),
+                tab: Math.random().toString(36).slice(2),
+                time: 0,
+                targets: paths,
+                snapshots: paths.map(p => this.syncSnapshot(p)),
+                clocks: new Map(), // JSON path -> {t, tab} of the write that won
+                scheduled: false,
+                applying: false,
+            };
+            sync.channel.addEventListener('message', (ev) => this.onSyncMessage(ev.data));
+            this.act.subscribe(() => {
+                if (sync.scheduled || sync.applying) return;
+                sync.scheduled = true;
+                queueMicrotask(() => this.postSyncChanges());
+            }, 'global');
+            // Tabs already open answer with what they have written
+            sync.channel.postMessage({ type: 'hello' });
+        }
+
+        syncSnapshot(path) {
+            let cur = unwrapProxy(this.namespaces.global);
+            for (const seg of path) cur = cur == null ? undefined : cur[seg];
+            return snapshotValue(cur);
         }
 
-        syncStateToUrl() {
-            const includeSet = new Set();
-            document.querySelectorAll('[data-url-include]').forEach(el => {
-                try { JSON.parse(el.getAttribute('data-url-include')).forEach(k => includeSet.add(k)); } catch {}
+        postSyncChanges() {
+            const sync = this._storage.sync;
+            sync.scheduled = false;
+            const changes = [];
+            sync.targets.forEach((path, i) => {
+                const next = this.syncSnapshot(path);
+                for (const change of diffPaths(sync.snapshots[i], next, path)) {
+                    Object.assign(change, { t: ++sync.time, tab: sync.tab });
+                    sync.clocks.set(JSON.stringify(change.path), { t: change.t, tab: change.tab });
+                    changes.push(change);
+                }
+                sync.snapshots[i] = next;
             });
-            const transientSet = new Set();
-            document.querySelectorAll('[data-url-includeTransient]').forEach(el => {
-                try { JSON.parse(el.getAttribute('data-url-includeTransient')).forEach(k => transientSet.add(k)); } catch {}
+            if (changes.length) sync.channel.postMessage({ type: 'changes', changes });
+        }
+
+        onSyncMessage({ type, changes }) {
+            const sync = this._storage.sync;
+            if (type === 'hello') {
+                const known = [...sync.clocks].map(([key, clock]) => {
+                    const path = JSON.parse(key);
+                    const value = this.syncSnapshot(path);
+                    return value === undefined ? { path, deleted: true, ...clock } : { path, value, ...clock };
+                });
+                if (known.length) sync.channel.postMessage({ type: 'changes', changes: known });
+                return;
+            }
+            if (type !== 'changes') return;
+            // Local changes not posted yet get their clocks first
+            if (sync.scheduled) this.postSyncChanges();
+            const applied = [];
+            sync.applying = true;
+            try {
+                for (const { path, value, deleted, t, tab } of changes) {
+                    sync.time = Math.max(sync.time, t);
+                    const key = JSON.stringify(path);
+                    const seen = sync.clocks.get(key);
+                    if (seen && (seen.t > t || (seen.t === t && seen.tab >= tab))) continue;
+                    sync.clocks.set(key, { t, tab });
+                    if (deleted) {
+                        const parent = readHandle(this, new Handle('global', path.slice(0, -1)));
+                        if (parent && typeof parent === 'object') delete parent[path[path.length - 1]];
+                    } else {
+                        writeHandle(this, new Handle('global', path), value);
+                    }
+                    applied.push(path);
+                }
+            } finally {
+                sync.applying = false;
+            }
+            // Remote writes are not changes to post back: re-snapshot the synced paths they touched
+            const overlaps = (a, b) => a.every((seg, i) => i >= b.length || seg === b[i]);
+            sync.targets.forEach((target, i) => {
+                if (applied.some(path => overlaps(path, target))) sync.snapshots[i] = this.syncSnapshot(target);
             });
-            const urlState = this.namespaces.url;
-            const persistent = {};
-            const transient = {};
-            includeSet.forEach(k => { if (urlState[k] != null) persistent[k] = urlState[k]; });
-            transientSet.forEach(k => { if (urlState[k] != null) transient[k] = urlState[k]; });
-            const serialize = obj => {
-                const keys = Object.keys(obj);
-                if (!keys.length) return '';
-                const complex = Object.values(obj).some(v => typeof v === 'object');
-                if (complex) {
-                    const sorted = {};
-                    keys.sort().forEach(k => sorted[k] = obj[k]);
-                    return encodeURIComponent(JSON.stringify(sorted));
+        }
+
+        // ---- Undo history ----
+        // A history keeps a snapshot of the state under a handle. Changes are diffed against it
+        // (on the first microtask after a change, or when an effect handler returns) and each
+        // diff becomes one step of patches {path, before, after}. Diffing is needed because
+        // DeepProxy notifies a namespace without saying which path changed; only histories whose
+        // namespace was notified are diffed.
+
+        // Attach undo history to a handle (or effect-mode handle proxy); returns
+        // {undo(), redo(), canUndo, canRedo}. The same handle always gets the same history.
+        history(target, { limit = this.undoLimit } = {}) {
+            const handle = toHandle(target, this.namespaces.locals.keys());
+            if (!handle) throw new Error('TagMark.history expects a handle');
+            const key = `${handle.root}|${handle.path.join('.')}`;
+            const existing = this._undo.histories.get(key);
+            if (existing) return existing;
+            const history = {
+                handle,
+                limit,
+                snapshot: handleSnapshot(this, handle),
+                done: [],
+                undone: [],
+                pending: false,
+                applying: false,
+                undo: () => this.stepHistory(history, history.done, history.undone, 'before'),
+                redo: () => this.stepHistory(history, history.undone, history.done, 'after'),
+                get canUndo() {
+                    history.commit();
+                    return history.done.length > 0;
+                },
+                get canRedo() {
+                    history.commit();
+                    return history.undone.length > 0;
+                },
+                commit: () => this.commitHistory(history),
+            };
+            history.stop = this.act.subscribe(() => {
+                if (history.pending || history.applying) return;
+                history.pending = true;
+                this._undo.pending.add(history);
+                queueMicrotask(history.commit);
+            }, namespaceId(handle.root));
+            this._undo.histories.set(key, history);
+            return history;
+        }
+
+        commitHistory(history) {
+            if (!history.pending) return;
+            history.pending = false;
+            this._undo.pending.delete(history);
+            const before = history.snapshot;
+            const after = handleSnapshot(this, history.handle);
+            const patches = diffPaths(before, after).map(({ path, value }) => ({ path, before: valueAt(before, path), after: value }));
+            history.snapshot = after;
+            if (!patches.length) return;
+            history.done.push(patches);
+            if (history.done.length > history.limit) history.done.shift();
+            history.undone.length = 0;
+        }
+
+        commitHistories() {
+            for (const history of this._undo.pending) history.commit();
+        }
+
+        // Move the latest step from one stack to the other, writing its before or after values
+        stepHistory(history, from, to, side) {
+            history.commit();
+            const step = from.pop();
+            if (!step) return false;
+            history.applying = true;
+            try {
+                const patches = side === 'before' ? [...step].reverse() : step;
+                for (const patch of patches) {
+                    const handle = new Handle(history.handle.root, [...history.handle.path, ...patch.path]);
+                    const value = patch[side];
+                    if (value === undefined) {
+                        const parent = readHandle(this, new Handle(handle.root, handle.path.slice(0, -1)));
+                        if (parent && typeof parent === 'object') delete parent[handle.path[handle.path.length - 1]];
+                    } else {
+                        // A copy, so later edits to the state leave the step intact
+                        writeHandle(this, handle, snapshotValue(value));
+                    }
+                }
+            } finally {
+                history.applying = false;
+            }
+            history.snapshot = handleSnapshot(this, history.handle);
+            to.push(step);
+            return true;
+        }
+
+        // Run cb(newValue, oldValue) after a change to the path a handle points at. Changes are
+        // detected from the handle's namespace notifications and compared by value, once per
+        // microtask. Accepts a Handle or an effect-mode handle proxy; returns an unsubscribe function.
+        watch(target, cb) {
+            const handle = toHandle(target, this.namespaces.locals.keys());
+            if (!handle) throw new Error('TagMark.watch expects a handle');
+            this.ensureActDown();
+            let last = handleSnapshot(this, handle);
+            let scheduled = false;
+            let active = true;
+            const check = () => {
+                scheduled = false;
+                if (!active) return;
+                const next = handleSnapshot(this, handle);
+                if (Object.is(valueKey(next), valueKey(last))) return;
+                const old = last;
+                last = next;
+                try {
+                    cb(next, old);
+                } catch (e) {
+                    this.reportError(e, { phase: 'effect' });
                 }
-                const params = new URLSearchParams();
-                keys.sort().forEach(k => params.set(k, obj[k]));
-                return params.toString();
             };
-            const frag1 = serialize(persistent);
-            const frag2 = serialize(transient);
-            const parts = [];
-            if (frag1) parts.push(frag1);
-            if (frag2) parts.push(frag2);
-            const hash = parts.length ? '#' + parts.join('#') : '#';
-            if (window.location.hash !== hash) {
-                window.history.replaceState(null, '', hash);
+            const unsubscribe = this.act.subscribe(() => {
+                if (scheduled) return;
+                scheduled = true;
+                queueMicrotask(check);
+            }, namespaceId(handle.root));
+            return () => {
+                active = false;
+                unsubscribe();
+            };
+        }
+
+        // <Watch on="{@Handle.path}" do="@{...}"></Watch>: runs the effect with $new/$old after the path
+        // changes, for as long as the Watch element is rendered
+        renderWatch(plan, scope, parentSid, seg) {
+            const sid = makeSid(parentSid, `WATCH${seg}`);
+            const on = stripBraces(plan.attrs.get('on') || '').trim();
+            const action = (plan.attrs.get('do') || '').trim();
+            if (!on.startsWith('@')) throw new Error('Watch requires on="{@Handle.path}"');
+            if (!action.startsWith('@{') || !action.endsWith('}')) throw new Error('Watch requires do="@{...}"');
+            const handle = parseHandleExpression(scope, on);
+            const key = `${handle.root}|${handle.path.join('.')}`;
+            let watcher = this._watchers.get(sid);
+            if (watcher && watcher.key !== key) {
+                watcher.stop();
+                watcher = null;
+            }
+            if (!watcher) {
+                const w = { key };
+                const info = { sid, tag: plan.tagName, attribute: 'do', phase: 'effect', ...plan.src };
+                w.stop = this.watch(handle, (next, old) => {
+                    const s = w.scope.fork();
+                    s.setValue('$new', next);
+                    s.setValue('$old', old);
+                    const result = this.guard(info, () => this.evalEffect(w.expr, s));
+                    if (result && typeof result.then === 'function') this.trackAsync(result, w.scope.nearestLocal(), info);
+                });
+                this._watchers.set(sid, w);
+                watcher = w;
+            }
+            // Latest scope and body, so the effect sees current $variables
+            watcher.scope = scope;
+            watcher.expr = action.slice(2, -1);
+            this.onUnmount(sid, () => {
+                watcher.stop();
+                this._watchers.delete(sid);
+            });
+            return null;
+        }
+
+        // ---- Public API ----
+        // Handles name state as {root, path}: root is 'global', 'url', 'route' or a local
+        // namespace's SID. read, write, watch and history also take a Handle, an effect-mode
+        // handle proxy, or a path string like "global.user.name".
+
+        getHandle(root, path = []) {
+            this.ensureActDown();
+            if (!resolveNamespace(this, root)) throw new Error(`Unknown namespace "${root}"`);
+            return new Handle(root, typeof path === 'string' ? path.split('.').filter(Boolean) : path);
+        }
+
+        // A plain copy of the value at a handle
+        read(target) {
+            const handle = toHandle(target, this.namespaces.locals.keys());
+            if (!handle) throw new Error('TagMark.read expects a handle or a path like "global.user.name"');
+            this.ensureActDown();
+            return handleSnapshot(this, handle);
+        }
+
+        // Set the value at a handle, creating missing objects on the way; at a namespace root the
+        // value replaces the namespace's contents
+        write(target, value) {
+            const handle = toHandle(target, this.namespaces.locals.keys());
+            if (!handle) throw new Error('TagMark.write expects a handle or a path like "global.user.name"');
+            this.ensureActDown();
+            if (handle.path.length) return writeHandle(this, handle, value);
+            const base = resolveNamespace(this, handle.root);
+            if (base == null) throw new Error(`Unknown handle root ${handle.root}`);
+            replaceContents(base, value);
+        }
+
+        // Define a component from HTML, as if written <Name:Template params init>html</Name:Template>.
+        // Roots re-render, so tags already on the page become the component.
+        defineComponent(name, html, { params = null, init = null } = {}) {
+            this.ensureActDown();
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            this.registerTemplate(name.toUpperCase(), template.content.childNodes, {
+                params: Array.isArray(params) ? params.join(',') : params,
+                init,
+            });
+            this.refresh();
+        }
+
+        // Render plans for nodes (DOM nodes, or objects shaped like them), one per node in order,
+        // without rendering them. For tooling such as tagmark-lint; plans are internal and may change.
+        compile(nodes, srcId = 'TAG-MARK') {
+            return compilePlans(nodes, srcId);
+        }
+
+        // Runtime options. urlMode and urlBase are read when URL sync starts (at boot or the first
+        // mount), so set them before that, like <tag-mark-global url-mode url-base>.
+        configure(options) {
+            for (const [key, value] of Object.entries(options)) {
+                switch (key) {
+                    case 'expressionStrategy':
+                        setExpressionStrategy(value);
+                        break;
+                    case 'urlMode':
+                        if (value !== 'hash' && value !== 'query') {
+                            throw new Error(`Unknown url-mode "${value}" (expected "hash" or "query")`);
+                        }
+                        this.urlMode = value;
+                        break;
+                    case 'urlBase':
+                        this.urlBase = String(value).replace(/\/+$/, '');
+                        break;
+                    case 'strict':
+                    case 'historyDebounce':
+                    case 'storageDebounce':
+                    case 'undoLimit':
+                        this[key] = value;
+                        break;
+                    default:
+                        throw new Error(`Unknown TagMark option "${key}"`);
+                }
             }
+            return this;
         }
 
         ready(fn) {
@@ -1474,12 +3236,17 @@
     // ActDown-ext-forms auto-applies when loaded, so no explicit call needed
 
     const runtime = new TagMarkRuntime();
-
-    // Bootstrap on DOM ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => runtime.bootstrap());
-    } else {
-        runtime.bootstrap();
+    defineRootElement(runtime);
+
+    // Bootstrap on DOM ready, unless <script src="tagmark.js" data-tagmark-manual>. Without a DOM
+    // (tagmark-lint loads this file in Node) only the parsers are used.
+    const manual = typeof document !== 'undefined' && document.currentScript?.hasAttribute('data-tagmark-manual');
+    if (typeof document !== 'undefined' && !manual) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => runtime.bootstrap());
+        } else {
+            runtime.bootstrap();
+        }
     }
 
     global.TagMark = runtime;
@@ -0,0 +1,133 @@
+// Unit tests for tagmark-lint (run with: node test/tagmark-lint.test.mjs)
+
+import { lint } from '../src/tagmark-lint.mjs';
+
+let passed = 0, failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (e) {
+        console.log(`✗ ${name}: ${e.message}`);
+        failed++;
+    }
+}
+
+function eq(actual, expected, msg = '') {
+    if (actual !== expected) {
+        throw new Error(`${msg} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// "line rule" for each problem, in order
+function problems(html) {
+    return lint(html).map(p => `${p.line} ${p.rule}`).join(', ');
+}
+
+// Tests
+
+test('clean template has no problems', () => {
+    eq(problems(`<tag-mark def="@Box as local" init="{ {items: []} }">
+  <Loop each="$item as value, $i as index of {@Box.items} marked by {$item.id}">
+    <li class="{$i}">{$item.name}</li>
+  </Loop>
+  <Else><p>Empty</p></Else>
+  <button onclick="@{ @Box.items.push({id: 1}); $event.preventDefault() }">Add</button>
+</tag-mark>`), '');
+});
+
+test('missing marked by', () => {
+    eq(problems(`<tag-mark>
+  <Loop each="$x of {@Global.items}"><p>{$x}</p></Loop>
+</tag-mark>`), '2 each-syntax');
+});
+
+test('unknown handle, outside string literals only', () => {
+    eq(problems(`<tag-mark def="@Box as local">
+  <p>{@Box.a} {@Nope.b} {'mail@example.com'}</p>
+</tag-mark>`), '2 unknown-handle');
+});
+
+test('handles in template literal substitutions are checked', () => {
+    eq(problems(`<tag-mark def="@Box as local">
+  <p>{\`\${@Box.a}-\${@Nope.b}\`} {\`@Text \${'@Str' + {a: @Box.c}.a}\`}</p>
+</tag-mark>`), '2 unknown-handle');
+});
+
+test('handles are case-insensitive', () => {
+    eq(problems(`<tag-mark def="@Box as local"><p>{@box.a} {@GLOBAL.b}</p></tag-mark>`), '');
+});
+
+test('case-insensitive $variable collision', () => {
+    eq(problems(`<tag-mark>
+  <Loop each="$item as value of {@Global.items} marked by index">
+    <p def="$Item := 1">{$item}</p>
+  </Loop>
+</tag-mark>`), '3 case-collision');
+});
+
+test('<Else> must follow <When> or <Loop>', () => {
+    eq(problems(`<tag-mark>
+  <When test="{@Global.a}"><p>a</p></When>
+  <Else><p>b</p></Else>
+  <p>c</p>
+  <Else><p>d</p></Else>
+</tag-mark>`), '5 else-placement');
+});
+
+test('init on both template and usage site', () => {
+    const html = `<tag-mark>
+  <Card:Template init="{ {open: false} }"><p>{@Card.open}</p></Card:Template>
+  <Card init="{ {open: true} }"></Card>
+</tag-mark>`;
+    eq(problems(html), '3 duplicate-init');
+    eq(lint(html)[0].severity, 'error', 'the runtime throws for this');
+});
+
+test('component used before its template is defined', () => {
+    eq(problems(`<tag-mark><Card></Card></tag-mark>
+<tag-mark><Card:Template><p>card</p></Card:Template></tag-mark>`), '1 template-order');
+});
+
+test('template scope is the component, its params and the shared namespaces', () => {
+    eq(problems(`<tag-mark def="@Box as local">
+  <Card:Template params="@item, $title">
+    <h2>{$title}</h2>
+    <p>{@item.name} {@Card.n} {@Url.q} {@Box.x}</p>
+  </Card:Template>
+  <Card item="{@Box.card}" title="Hi"></Card>
+</tag-mark>`), '4 unknown-handle');
+});
+
+test('invalid def and init syntax', () => {
+    eq(problems(`<tag-mark>
+  <div def="$x = 1"></div>
+  <div def="@Box as local" init="{a: 1}"></div>
+</tag-mark>`), '2 def-syntax, 3 expression-syntax, 3 expression-syntax');
+});
+
+test('self-closing custom tag', () => {
+    eq(problems(`<tag-mark><Outlet/><p>after</p></tag-mark>`), '1 self-closing');
+});
+
+test('lines are source lines', () => {
+    const [p] = lint(`<!DOCTYPE html>
+<html>
+<body>
+<!-- a
+comment -->
+<tag-mark
+  id="root">
+  <p class="{@Nope}" title="x
+y">{@Nope}</p>
+</tag-mark>`, { file: 'page.html' });
+    eq(p.file, 'page.html');
+    eq(p.line, 8, 'attribute problems are on the element line');
+    eq(lint(`<tag-mark>\n  <p title="x\ny">{@Nope}</p></tag-mark>`)[0].line, 3, 'text problems are on the text line');
+    eq(p.severity, 'error');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);